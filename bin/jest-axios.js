@@ -0,0 +1,10 @@
+#!/usr/bin/env node
+/**
+ * Entry point for the `jest-axios` command-line interface.
+ */
+const { run } = require('../dist/cli.cjs.js');
+
+run(process.argv.slice(2)).catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -0,0 +1,4 @@
+/**
+ * Entry point for `jest-axios/matchers` imports.
+ */
+module.exports = require('./dist/matchers.cjs.js');
@@ -9,6 +9,7 @@ const pkg = require('./package.json');
 export default [
   {
     input: 'src/index.js',
+    external: ['fs', 'path', 'http'],
     output: [
       {
         file: 'dist/index.cjs.js',
@@ -36,4 +37,46 @@ export default [
       }),
     ],
   },
+  {
+    input: 'src/matchers.js',
+    output: [
+      {
+        file: 'dist/matchers.cjs.js',
+        format: 'cjs',
+        name: `${pkg.name}-matchers`,
+      },
+      {
+        file: 'dist/matchers.esm.js',
+        format: 'esm',
+        name: `${pkg.name}-matchers`,
+      },
+    ],
+    plugins: [
+      resolve(),
+      json(),
+      commonjs(),
+      babel({
+        exclude: 'node_modules/**',
+      }),
+    ],
+  },
+  {
+    input: 'src/cli.js',
+    external: ['fs', 'path', 'http'],
+    output: [
+      {
+        file: 'dist/cli.cjs.js',
+        format: 'cjs',
+        name: `${pkg.name}-cli`,
+      },
+    ],
+    plugins: [
+      resolve(),
+      json(),
+      commonjs(),
+      babel({
+        exclude: 'node_modules/**',
+      }),
+    ],
+  },
 ]
@@ -0,0 +1,268 @@
+/**
+ * Authentication and session simulation for mock servers.
+ */
+
+
+// imports
+// -------
+import _ from 'lodash';
+import { respond } from './response';
+import { Unauthorized, Forbidden } from './errors';
+
+
+// config
+// ------
+const ROUTES = {
+  login: '/auth/login',
+  logout: '/auth/logout',
+  refresh: '/auth/refresh',
+  user: '/auth/user',
+};
+
+
+// classes
+// -------
+/**
+ * Authentication subsystem for mock servers, issuing access and
+ * refresh tokens for users in a collection and checking `Authorization`
+ * headers for requests to endpoints that require authentication.
+ */
+export class Auth {
+  /**
+   * Create a new Auth object. See `Server.auth()` for options.
+   *
+   * @param {Server} server - Mock server to authenticate requests for.
+   * @param {object} options - Authentication options.
+   */
+  constructor(server, options) {
+    options = options || {};
+    this.server = server;
+    this.options = Object.assign({
+      model: 'users',
+      username: 'username',
+      password: 'password',
+      role: 'role',
+      expires: 60 * 60 * 1000,
+      refresh: 24 * 60 * 60 * 1000,
+      required: false,
+    }, _.omit(options, ['users', 'routes']), {
+      routes: Object.assign({}, ROUTES, options.routes),
+    });
+    this.reset();
+  }
+
+  /**
+   * Clear all sessions.
+   */
+  reset() {
+    this.sessions = {};
+    this.count = 0;
+  }
+
+  /**
+   * Format user record for responses, excluding password field.
+   *
+   * @param {object} user - User record.
+   */
+  format(user) {
+    return _.omit(user, this.options.password);
+  }
+
+  /**
+   * Issue access and refresh tokens for user.
+   *
+   * @param {object|number} user - User record or id.
+   *
+   * @example
+   * const { access_token } = server.auth().issue(1);
+   */
+  issue(user) {
+    const id = _.isObject(user) ? user.id : user;
+    if (_.isUndefined(this.server.db[this.options.model].get(id))) {
+      throw new Error(`Specified user \`${id}\` not in model \`${this.options.model}\`.`);
+    }
+    this.count += 1;
+    const now = Date.now();
+    const access = `mock-access-token-${this.count}`;
+    const refresh = `mock-refresh-token-${this.count}`;
+    this.sessions[access] = {
+      type: 'access', user: id, expires: now + this.options.expires, pair: refresh,
+    };
+    this.sessions[refresh] = {
+      type: 'refresh', user: id, expires: now + this.options.refresh, pair: access,
+    };
+    return {
+      access_token: access,
+      refresh_token: refresh,
+      token_type: 'Bearer',
+      expires_in: Math.round(this.options.expires / 1000),
+    };
+  }
+
+  /**
+   * Find session for token, throwing `Unauthorized` errors
+   * for invalid or expired tokens.
+   *
+   * @param {string} token - Access or refresh token.
+   * @param {string} type - Expected token type.
+   */
+  session(token, type) {
+    const session = this.sessions[token];
+    if (_.isUndefined(session) || session.type !== type) {
+      throw Unauthorized(`Invalid ${type} token.`);
+    }
+    if (session.expires <= Date.now()) {
+      throw Unauthorized(`The ${type} token has expired.`);
+    }
+    return session;
+  }
+
+  /**
+   * Get user for access token, returning `undefined` for
+   * invalid or expired tokens.
+   *
+   * @param {string} token - Access token.
+   */
+  user(token) {
+    try {
+      return this.server.db[this.options.model].get(this.session(token, 'access').user);
+    } catch (err) {
+      return undefined;
+    }
+  }
+
+  /**
+   * Log in user with credentials, returning tokens for the user.
+   *
+   * @param {string} username - Username for user.
+   * @param {string} password - Password for user.
+   */
+  login(username, password) {
+    const { model, username: field, password: secret } = this.options;
+    const user = _.find(this.server.db[model].all(), item => !_.isNil(username)
+      && item[field] === username && item[secret] === password);
+    if (_.isUndefined(user)) {
+      throw Unauthorized('Invalid credentials.');
+    }
+    return Object.assign(this.issue(user), { user: this.format(user) });
+  }
+
+  /**
+   * Exchange refresh token for new tokens, invalidating the
+   * previous tokens for the session.
+   *
+   * @param {string} token - Refresh token.
+   */
+  refresh(token) {
+    const session = this.session(token, 'refresh');
+    this.logout(session.pair);
+    return this.issue(session.user);
+  }
+
+  /**
+   * Invalidate tokens for session.
+   *
+   * @param {string} token - Access or refresh token for session.
+   */
+  logout(token) {
+    const session = this.sessions[token];
+    if (session) {
+      delete this.sessions[session.pair];
+      delete this.sessions[token];
+    }
+  }
+
+  /**
+   * Expire access token (or all access tokens), so that
+   * requests with the token are rejected until it's refreshed.
+   *
+   * @param {string} token - Access token to expire.
+   *
+   * @example
+   * server.auth().expire();
+   */
+  expire(token) {
+    _.each(this.sessions, (session, key) => {
+      if (session.type === 'access' && (_.isUndefined(token) || key === token)) {
+        session.expires = Date.now();
+      }
+    });
+  }
+
+  /**
+   * Middleware checking `Authorization` headers for requests to
+   * endpoints requiring authentication (via the `auth` property for
+   * endpoints, or the `required` option). Endpoints can require
+   * specific roles by setting `auth` to a role or list of roles.
+   */
+  middleware() {
+    return (ctx, next) => {
+      const handlers = this.server._api[ctx.endpoint];
+      const rule = _.get(handlers, 'auth', this.options.required);
+      if (_.isNil(handlers) || !rule || ctx.method === 'OPTIONS') {
+        return next();
+      }
+
+      // authenticate
+      const header = ctx.header('authorization') || '';
+      const match = header.match(/^Bearer\s+(.+)$/i);
+      if (!match) {
+        throw Unauthorized();
+      }
+      const session = this.session(match[1], 'access');
+      const user = this.server.db[this.options.model].get(session.user);
+      if (_.isUndefined(user)) {
+        throw Unauthorized();
+      }
+
+      // authorize
+      if (rule !== true) {
+        const roles = _.castArray(user[this.options.role]);
+        if (_.isEmpty(_.intersection(roles, _.castArray(rule)))) {
+          throw Forbidden(ctx.url);
+        }
+      }
+      ctx.user = this.format(user);
+      return next();
+    };
+  }
+
+  /**
+   * Endpoints for logging in and out, refreshing tokens, and
+   * fetching the authenticated user. Endpoints for logging in and
+   * refreshing tokens never require authentication (even with the
+   * `required` option), so clients can always obtain tokens.
+   */
+  api() {
+    const { routes } = this.options;
+    const token = ctx => (ctx.header('authorization') || '').replace(/^Bearer\s+/i, '');
+    return {
+      [routes.login]: {
+        post: data => respond(200, this.login(_.get(data, this.options.username), _.get(data, this.options.password))),
+        auth: false,
+      },
+      [routes.logout]: {
+        post: (data, id, ctx) => {
+          this.logout(token(ctx));
+          return respond(204);
+        },
+        auth: true,
+      },
+      [routes.refresh]: {
+        post: data => respond(200, this.refresh(_.get(data, 'refresh_token'))),
+        auth: false,
+      },
+      [routes.user]: {
+        get: (id, ctx) => ctx.user,
+        auth: true,
+      },
+    };
+  }
+}
+
+
+// exports
+// -------
+export default {
+  Auth,
+};
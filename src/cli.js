@@ -0,0 +1,128 @@
+/**
+ * Command-line interface for serving mock servers.
+ */
+
+
+// imports
+// -------
+import path from 'path';
+import _ from 'lodash';
+
+
+// config
+// ------
+const USAGE = `Usage: jest-axios serve <file> [options]
+
+Serve the mock server exported by <file> over HTTP.
+
+Options:
+  -p, --port <port>     Port to listen on (default: $PORT or 3000).
+  --host <host>         Host to listen on (default: localhost).
+  --admin <prefix>      Prefix for admin endpoints (default: /__admin).
+  --no-admin            Disable admin endpoints.
+  --no-cors             Disable CORS headers.
+  -h, --help            Show this message.`;
+
+const FLAGS = {
+  '-p': 'port',
+  '--port': 'port',
+  '--host': 'host',
+  '--admin': 'admin',
+};
+
+
+// helpers
+// -------
+/**
+ * Parse command-line arguments into the command, positional
+ * arguments, and options for the command.
+ *
+ * @param {array} argv - Command-line arguments (without `node` and the script).
+ */
+export function parse(argv) {
+  const args = [];
+  const options = {};
+  for (let index = 0; index < argv.length; index += 1) {
+    const [flag, inline] = argv[index].split(/=(.*)/);
+    if (['-h', '--help'].includes(flag)) {
+      options.help = true;
+    } else if (['--no-cors', '--no-admin'].includes(flag)) {
+      options[flag.slice(5)] = false;
+    } else if (flag in FLAGS) {
+      const value = _.isUndefined(inline) ? argv[++index] : inline;
+      if (_.isUndefined(value)) {
+        throw new Error(`Missing value for option \`${flag}\`.`);
+      }
+      options[FLAGS[flag]] = value;
+    } else if (flag.startsWith('-')) {
+      throw new Error(`Unknown option \`${flag}\`.`);
+    } else {
+      args.push(argv[index]);
+    }
+  }
+  return {
+    command: args[0], args: args.slice(1), options,
+  };
+}
+
+/**
+ * Load mock server from module exporting a `Server` class
+ * or instance (as the default export or `module.exports`).
+ *
+ * @param {string} file - Path to module.
+ */
+export function load(file) {
+  const mod = require(path.resolve(file)); // eslint-disable-line global-require, import/no-dynamic-require
+  let server = _.has(mod, 'default') ? mod.default : mod;
+  if (_.isFunction(server)) {
+    server = new server();
+  }
+  if (!server || !_.isFunction(server.dispatch) || !_.isFunction(server.listen)) {
+    throw new Error(`Module \`${file}\` must export a mock \`Server\` class or instance.`);
+  }
+  return server;
+}
+
+
+// commands
+// --------
+/**
+ * Run command-line interface, returning a promise resolving
+ * to the Node `http` server for the `serve` command.
+ *
+ * @param {array} argv - Command-line arguments (without `node` and the script).
+ *
+ * @example
+ * run(['serve', './mock-server.js', '--port', '3000']);
+ */
+export function run(argv) {
+  return Promise.resolve().then(() => {
+    const { command, args, options } = parse(argv);
+    if (options.help || _.isUndefined(command)) {
+      console.log(USAGE);
+      return undefined;
+    }
+    if (command !== 'serve') {
+      throw new Error(`Unknown command \`${command}\`. Run \`jest-axios --help\` for usage.`);
+    }
+    if (_.isUndefined(args[0])) {
+      throw new Error('Missing mock server module for `serve` command.');
+    }
+
+    // serve mock server
+    const server = load(args[0]);
+    const port = Number(_.isUndefined(options.port) ? process.env.PORT || 3000 : options.port);
+    const host = options.host || 'localhost';
+    return server.listen(port, _.pick(Object.assign({ host }, options), ['host', 'cors', 'admin'])).then((app) => {
+      console.log(`Serving mock server \`${server.name}\` at http://${host}:${app.address().port}`);
+      return app;
+    });
+  });
+}
+
+
+// exports
+// -------
+export default {
+  run,
+};
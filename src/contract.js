@@ -0,0 +1,452 @@
+/**
+ * Contract checks for mock requests and responses against OpenAPI documents.
+ */
+
+
+// imports
+// -------
+import _ from 'lodash';
+import { load, deref } from './openapi';
+import { METHODS } from './routes';
+import { TYPES } from './schema';
+
+
+// errors
+// ------
+/**
+ * Error thrown when requests or responses for a mock server
+ * violate the contract for the server. The `violations` property
+ * contains the violations for the request.
+ */
+export class ContractError extends Error {
+  constructor(message, violations) {
+    super(message);
+    this.violations = violations || [];
+  }
+}
+
+
+// helpers
+// -------
+/**
+ * Resolve references in schema and merge `allOf` subschemas,
+ * so that properties and required fields for the subschemas are
+ * checked together.
+ *
+ * @param {object} spec - OpenAPI document.
+ * @param {object} schema - OpenAPI schema object.
+ */
+function flatten(spec, schema) {
+  schema = deref(spec, schema);
+  if (!_.isPlainObject(schema) || !schema.allOf) {
+    return schema;
+  }
+  return schema.allOf.map(item => flatten(spec, item)).reduce((result, item) => Object.assign(result, item, {
+    properties: Object.assign({}, result.properties, item.properties),
+    required: _.union(result.required, item.required),
+  }), _.omit(schema, 'allOf'));
+}
+
+/**
+ * Coerce value for url parameter (parsed from the url) to the
+ * type declared in its schema.
+ *
+ * @param {object} schema - OpenAPI schema object for parameter.
+ * @param {*} value - Parameter value.
+ */
+function coerce(schema, value) {
+  const type = _.get(schema, 'type');
+  if (type === 'array') {
+    return _.castArray(value).map(item => coerce(schema.items, item));
+  }
+  if (type === 'string') {
+    return String(value);
+  }
+  if (['number', 'integer'].includes(type) && _.isString(value) && value.trim() !== '' && !_.isNaN(Number(value))) {
+    return Number(value);
+  }
+  if (type === 'boolean' && ['true', 'false'].includes(value)) {
+    return value === 'true';
+  }
+  return value;
+}
+
+/**
+ * Validate value against schema, returning list of errors
+ * with the `field` (i.e. `items[0].title`) and `message` for
+ * each error. Fields that aren't documented in the schema are
+ * reported for `strict` checks, unless the schema allows them
+ * via `additionalProperties`.
+ *
+ * @param {object} spec - OpenAPI document.
+ * @param {object} schema - OpenAPI schema object.
+ * @param {*} value - Value to validate.
+ * @param {object} options - Validation options.
+ * @param {string} options.field - Field for value.
+ * @param {string} options.direction - Whether value is for a `request` or `response`.
+ * @param {boolean} options.strict - Report undocumented fields.
+ */
+function validate(spec, schema, value, options) {
+  schema = flatten(spec, schema);
+  const field = options.field;
+  const error = message => [{ field, message }];
+  if (!_.isPlainObject(schema) || _.isUndefined(value)) {
+    return [];
+  }
+  if (_.isNull(value)) {
+    return schema.nullable || !schema.type ? [] : error(`Expected type \`${schema.type}\`.`);
+  }
+
+  // alternatives
+  const alternatives = schema.oneOf || schema.anyOf;
+  if (alternatives) {
+    const matches = alternatives.filter(item => _.isEmpty(validate(spec, item, value, options)));
+    if (_.isEmpty(matches)) {
+      return error('Does not match any of the allowed schemas.');
+    }
+    if (schema.oneOf && matches.length > 1) {
+      return error('Matches more than one of the allowed schemas.');
+    }
+    return [];
+  }
+
+  // types and constraints
+  if (schema.type && TYPES[schema.type] && !TYPES[schema.type](value)) {
+    return error(`Expected type \`${schema.type}\`.`);
+  }
+  const errors = [];
+  if (schema.enum && !schema.enum.some(item => _.isEqual(item, value))) {
+    errors.push({ field, message: `Must be one of: ${schema.enum.join(', ')}.` });
+  }
+  if (_.isString(value)) {
+    if (!_.isUndefined(schema.minLength) && value.length < schema.minLength) {
+      errors.push({ field, message: `Must have length of at least ${schema.minLength}.` });
+    }
+    if (!_.isUndefined(schema.maxLength) && value.length > schema.maxLength) {
+      errors.push({ field, message: `Must have length of at most ${schema.maxLength}.` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ field, message: `Must match pattern \`${schema.pattern}\`.` });
+    }
+  }
+  if (_.isNumber(value)) {
+    if (!_.isUndefined(schema.minimum) && value < schema.minimum) {
+      errors.push({ field, message: `Must be at least ${schema.minimum}.` });
+    }
+    if (!_.isUndefined(schema.maximum) && value > schema.maximum) {
+      errors.push({ field, message: `Must be at most ${schema.maximum}.` });
+    }
+  }
+
+  // arrays
+  if (_.isArray(value)) {
+    if (!_.isUndefined(schema.minItems) && value.length < schema.minItems) {
+      errors.push({ field, message: `Must have at least ${schema.minItems} items.` });
+    }
+    if (!_.isUndefined(schema.maxItems) && value.length > schema.maxItems) {
+      errors.push({ field, message: `Must have at most ${schema.maxItems} items.` });
+    }
+    value.forEach((item, index) => {
+      errors.push(...validate(spec, schema.items, item, Object.assign({}, options, { field: `${field}[${index}]` })));
+    });
+  }
+
+  // objects
+  if (_.isPlainObject(value)) {
+    const properties = _.mapValues(schema.properties || {}, item => flatten(spec, item));
+    const prefix = field ? `${field}.` : '';
+    const hidden = options.direction === 'request' ? 'readOnly' : 'writeOnly';
+    (schema.required || []).forEach((key) => {
+      if (_.isUndefined(value[key]) && !_.get(properties, [key, hidden])) {
+        errors.push({ field: `${prefix}${key}`, message: 'This field is required.' });
+      }
+    });
+    _.each(value, (item, key) => {
+      const nested = Object.assign({}, options, { field: `${prefix}${key}` });
+      if (key in properties) {
+        errors.push(...validate(spec, properties[key], item, nested));
+      } else if (_.isPlainObject(schema.additionalProperties)) {
+        errors.push(...validate(spec, schema.additionalProperties, item, nested));
+      } else if (schema.additionalProperties === false || (options.strict
+        && _.isUndefined(schema.additionalProperties) && !_.isEmpty(properties))) {
+        errors.push({ field: nested.field, message: 'This field is not documented.' });
+      }
+    });
+  }
+  return errors;
+}
+
+/**
+ * Format location for violation, including the field
+ * for the violation (i.e. `response.body.title`).
+ *
+ * @param {object} violation - Contract violation.
+ */
+function locate(violation) {
+  const { location, field } = violation;
+  if (!field) {
+    return location;
+  }
+  return field.startsWith('[') ? `${location}${field}` : `${location}.${field}`;
+}
+
+/**
+ * Find media object for JSON content, falling back to
+ * the first content type declared.
+ *
+ * @param {object} content - OpenAPI content mapping.
+ */
+function media(content) {
+  const type = _.find(_.keys(content), key => /json/.test(key)) || _.first(_.keys(content));
+  return type ? content[type] : undefined;
+}
+
+
+// classes
+// -------
+/**
+ * Contract for mock server requests and responses, checking
+ * that requests and responses processed by the server match
+ * the operations documented in an OpenAPI document.
+ */
+export class Contract {
+  /**
+   * Create a new Contract. See `Server.contract()` for options.
+   *
+   * @param {object|string} spec - OpenAPI document or path to JSON/YAML file.
+   * @param {object} options - Contract options.
+   */
+  constructor(spec, options) {
+    this.spec = load(spec);
+    this.options = Object.assign({ report: false, strict: true }, options);
+    this.violations = [];
+
+    // compile paths, with fewer parameters taking precedence
+    this.paths = _.sortBy(_.map(this.spec.paths, (item, path) => {
+      const names = [];
+      const pattern = path.split('/').map((segment) => {
+        const match = segment.match(/^\{([^}]+)\}$/);
+        if (match) {
+          names.push(match[1]);
+          return '([^/]+)';
+        }
+        return _.escapeRegExp(segment);
+      }).join('/');
+      return {
+        path, names, item: deref(this.spec, item), regex: new RegExp(`^${pattern}/?$`),
+      };
+    }), item => item.names.length);
+  }
+
+  /**
+   * Find documented operation for request method and path,
+   * along with path parameters parsed from the path.
+   *
+   * @param {string} method - Request method.
+   * @param {string} path - Request path (without query string).
+   */
+  operation(method, path) {
+    let params = {};
+    const entry = _.find(this.paths, (item) => {
+      const match = path.match(item.regex);
+      if (match) {
+        params = _.zipObject(item.names, match.slice(1).map(decodeURIComponent));
+      }
+      return match && _.isPlainObject(item.item[method.toLowerCase()]);
+    });
+    if (_.isUndefined(entry)) {
+      return undefined;
+    }
+    const operation = entry.item[method.toLowerCase()];
+    const parameters = _.uniqBy(
+      (operation.parameters || []).concat(entry.item.parameters || []).map(item => deref(this.spec, item)),
+      item => `${item.in}:${item.name}`,
+    );
+    return {
+      name: `${method.toUpperCase()} ${entry.path}`, operation, parameters, params,
+    };
+  }
+
+  /**
+   * Match request against documented operations, returning the
+   * operation and a function for collecting violations for the request.
+   *
+   * @param {object} request - Request context (`method` and `url`).
+   */
+  match(request) {
+    const method = request.method.toUpperCase();
+    const path = request.url.split('?')[0];
+    const found = this.operation(method, path);
+    const violations = [];
+    const add = (location, errors) => errors.forEach(item => violations.push(Object.assign({
+      method, url: request.url, operation: _.get(found, 'name'), location,
+    }, item)));
+    return {
+      method, path, found, violations, add,
+    };
+  }
+
+  /**
+   * Record violations for request, throwing a `ContractError`
+   * for violations (unless the `report` option is set).
+   *
+   * @param {object} request - Request context (`method` and `url`).
+   * @param {array} violations - Violations for request.
+   */
+  raise(request, violations) {
+    this.violations.push(...violations);
+    if (violations.length && !this.options.report) {
+      const method = request.method.toUpperCase();
+      throw new ContractError(`Contract violations for request \`${method} ${request.url}\`:\n${this.format(violations)}`, violations);
+    }
+    return violations;
+  }
+
+  /**
+   * Check request against contract before it's processed, validating
+   * the path and query parameters and the request body. Violations are
+   * recorded, and a `ContractError` is thrown for violations (unless
+   * the `report` option is set).
+   *
+   * @param {object} request - Request context (`method`, `url`, `query`, and `data`).
+   */
+  request(request) {
+    if (!METHODS.includes(request.method.toUpperCase())) {
+      return [];
+    }
+    const {
+      method, path, found, violations, add,
+    } = this.match(request);
+    if (_.isUndefined(found)) {
+      add('request', [{ field: '', message: `Operation \`${method} ${path}\` is not documented.` }]);
+      return this.raise(request, violations);
+    }
+    const { operation, parameters } = found;
+    const options = { strict: this.options.strict };
+
+    // check parameters
+    ['path', 'query'].forEach((location) => {
+      const values = location === 'path' ? found.params : request.query || {};
+      const declared = parameters.filter(item => item.in === location);
+      declared.forEach((param) => {
+        const schema = flatten(this.spec, param.schema);
+        if (_.isUndefined(values[param.name])) {
+          if (param.required) {
+            add(`request.${location}`, [{ field: param.name, message: 'This field is required.' }]);
+          }
+          return;
+        }
+        add(`request.${location}`, validate(this.spec, schema, coerce(schema, values[param.name]), Object.assign({
+          field: param.name, direction: 'request',
+        }, options)));
+      });
+      if (location === 'query' && this.options.strict) {
+        _.difference(_.keys(values), declared.map(item => item.name)).forEach((key) => {
+          add('request.query', [{ field: key, message: 'This field is not documented.' }]);
+        });
+      }
+    });
+
+    // check request body
+    const body = deref(this.spec, operation.requestBody);
+    const data = request.data;
+    if (_.isUndefined(body)) {
+      if (!_.isNil(data) && this.options.strict) {
+        add('request.body', [{ field: '', message: 'Request body is not documented.' }]);
+      }
+    } else if (_.isNil(data)) {
+      if (body.required) {
+        add('request.body', [{ field: '', message: 'Request body is required.' }]);
+      }
+    } else {
+      add('request.body', validate(this.spec, _.get(media(body.content), 'schema'), data, Object.assign({
+        field: '', direction: 'request',
+      }, options)));
+    }
+    return this.raise(request, violations);
+  }
+
+  /**
+   * Check response for request against contract, validating the
+   * status and body of the response. Responses for undocumented
+   * operations aren't checked, since the operation is reported
+   * when checking the request.
+   *
+   * @param {object} request - Request context (`method` and `url`).
+   * @param {object} response - Response (`status`, `data`, and `headers`).
+   */
+  response(request, response) {
+    if (!METHODS.includes(request.method.toUpperCase())) {
+      return [];
+    }
+    const { found, violations, add } = this.match(request);
+    if (_.isUndefined(found)) {
+      return [];
+    }
+    const { operation } = found;
+    const codes = _.keys(operation.responses);
+    const status = String(response.status);
+    const code = _.find(codes, item => item === status)
+      || _.find(codes, item => item.toUpperCase() === `${status[0]}XX`)
+      || _.find(codes, item => item === 'default');
+    if (_.isUndefined(code)) {
+      add('response.status', [{ field: '', message: `Status \`${status}\` is not documented.` }]);
+    } else {
+      const documented = media(_.get(deref(this.spec, operation.responses[code]), 'content'));
+      if (_.isUndefined(documented)) {
+        if (!_.isNil(response.data) && response.data !== '' && this.options.strict) {
+          add('response.body', [{ field: '', message: 'Response body is not documented.' }]);
+        }
+      } else {
+        add('response.body', validate(this.spec, documented.schema, response.data, {
+          field: '', direction: 'response', strict: this.options.strict,
+        }));
+      }
+    }
+    return this.raise(request, violations);
+  }
+
+  /**
+   * Format violations as a list with one violation per line.
+   *
+   * @param {array} violations - Violations to format (defaults to all recorded violations).
+   */
+  format(violations) {
+    return (violations || this.violations)
+      .map(item => `  - ${item.method} ${item.url} (${locate(item)}): ${item.message}`)
+      .join('\n');
+  }
+
+  /**
+   * Summarize recorded violations by operation, with the number of
+   * violations for each operation and the distinct messages reported.
+   *
+   * @example
+   * afterAll(() => {
+   *   expect(server.contract().report()).toEqual([]);
+   * });
+   */
+  report() {
+    const groups = _.groupBy(this.violations, item => item.operation || `${item.method} ${item.url.split('?')[0]}`);
+    return _.map(groups, (items, operation) => ({
+      operation,
+      count: items.length,
+      messages: _.uniq(items.map(item => `${locate(item)}: ${item.message}`)),
+    }));
+  }
+
+  /**
+   * Clear recorded violations.
+   */
+  clear() {
+    this.violations = [];
+  }
+}
+
+
+// exports
+// -------
+export default {
+  Contract,
+  ContractError,
+};
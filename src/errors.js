@@ -3,7 +3,37 @@
  */
 
 
+// imports
+// -------
+import _ from 'lodash';
+import { STATUS_TEXT } from './response';
+
+
 // 400
+/**
+ * Generate promise response for malformed request.
+ *
+ * @param {string} message - Reason for rejecting request.
+ */
+export function BadRequest(message) {
+  return {
+    status: 400,
+    message: message || 'Bad Request',
+  };
+}
+
+/**
+ * Generate promise response for unauthenticated request.
+ *
+ * @param {string} message - Reason for rejecting request.
+ */
+export function Unauthorized(message) {
+  return {
+    status: 401,
+    message: message || 'Authentication credentials were not provided or are invalid.',
+  };
+}
+
 /**
  * Generate promise response for missing page.
  *
@@ -42,6 +72,53 @@ export function Missing(id) {
   };
 }
 
+/**
+ * Generate promise response for request conflicting
+ * with the current state of a resource.
+ *
+ * @param {string} message - Reason for rejecting request.
+ */
+export function Conflict(message) {
+  return {
+    status: 409,
+    message: message || 'Conflict',
+  };
+}
+
+/**
+ * Generate promise response for request with invalid
+ * data, including field-level errors.
+ *
+ * @param {object} errors - Mapping of fields to error messages.
+ * @param {string} message - Reason for rejecting request.
+ *
+ * @example
+ * UnprocessableEntity({ title: ['This field is required.'] });
+ */
+export function UnprocessableEntity(errors, message) {
+  return {
+    status: 422,
+    message: message || 'Unprocessable Entity',
+    errors: errors || {},
+  };
+}
+
+/**
+ * Generate promise response for rate-limited request.
+ *
+ * @param {number} retry - Number of seconds before requests can be retried.
+ */
+export function TooManyRequests(retry) {
+  const result = {
+    status: 429,
+    message: 'Too Many Requests',
+  };
+  if (!_.isUndefined(retry)) {
+    result.headers = { 'retry-after': String(retry) };
+  }
+  return result;
+}
+
 // 500
 /**
  * Generate promise response for internal server error.
@@ -53,12 +130,124 @@ export function ServerError() {
   };
 }
 
+/**
+ * Generate promise response for unavailable service.
+ *
+ * @param {number} retry - Number of seconds before requests can be retried.
+ */
+export function ServiceUnavailable(retry) {
+  const result = {
+    status: 503,
+    message: 'Service Unavailable',
+  };
+  if (!_.isUndefined(retry)) {
+    result.headers = { 'retry-after': String(retry) };
+  }
+  return result;
+}
+
+
+// axios
+/**
+ * Create error shaped like errors rejected by axios from error
+ * response data. For backward compatibility, properties of the
+ * error response (i.e. `status` and `message`) are also available
+ * directly on the created error.
+ *
+ * @param {object} error - Error response data (i.e. from `NotFound()`).
+ * @param {object} config - Config for request.
+ * @param {object} request - Request that generated the error.
+ */
+export function createError(error, config, request) {
+  const headers = error.headers || {};
+  const data = _.has(error, 'data')
+    ? error.data
+    : Object.assign({ status: error.status, message: error.message }, _.omit(error, ['headers']));
+  const err = new Error(error.message);
+  Object.assign(err, _.omit(error, ['message', 'headers', 'data']));
+  err.config = config;
+  err.request = request;
+  err.response = {
+    status: error.status,
+    statusText: STATUS_TEXT[error.status] || '',
+    data,
+    headers,
+    config,
+    request,
+  };
+  err.isAxiosError = true;
+  err.toJSON = () => ({
+    message: err.message,
+    name: err.name,
+    status: err.status,
+    config: err.config,
+  });
+  return err;
+}
+
+/**
+ * Create error shaped like errors rejected by axios when
+ * requests fail without receiving a response.
+ *
+ * @param {string} message - Error message.
+ * @param {string} code - Error code.
+ * @param {object} config - Config for request.
+ * @param {object} request - Request that generated the error.
+ */
+function createRequestError(message, code, config, request) {
+  const err = new Error(message);
+  if (code) {
+    err.code = code;
+  }
+  err.config = config;
+  err.request = request;
+  err.response = undefined;
+  err.isAxiosError = true;
+  err.toJSON = () => ({
+    message: err.message,
+    name: err.name,
+    code: err.code,
+    config: err.config,
+  });
+  return err;
+}
+
+/**
+ * Create error shaped like network errors rejected by axios.
+ *
+ * @param {object} config - Config for request.
+ * @param {object} request - Request that generated the error.
+ */
+export function createNetworkError(config, request) {
+  return createRequestError('Network Error', undefined, config, request);
+}
+
+/**
+ * Create error shaped like timeout errors rejected by axios.
+ *
+ * @param {object} config - Config for request.
+ * @param {object} request - Request that generated the error.
+ */
+export function createTimeoutError(config, request) {
+  const timeout = _.get(config, 'timeout', 0);
+  return createRequestError(`timeout of ${timeout}ms exceeded`, 'ECONNABORTED', config, request);
+}
+
 
 // exports
 // -------
 export default {
+  BadRequest,
+  Unauthorized,
   NotFound,
   Forbidden,
   Missing,
+  Conflict,
+  UnprocessableEntity,
+  TooManyRequests,
   ServerError,
+  ServiceUnavailable,
+  createError,
+  createNetworkError,
+  createTimeoutError,
 };
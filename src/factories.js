@@ -0,0 +1,97 @@
+/**
+ * Factories for generating records in mock server collections.
+ */
+
+
+// imports
+// -------
+import _ from 'lodash';
+
+
+// helpers
+// -------
+/**
+ * Create seeded pseudo-random number generator with helpers
+ * for generating random values, so that generated data are
+ * deterministic across test runs.
+ *
+ * @param {number} seed - Seed for generator.
+ *
+ * @example
+ * const rng = random(42);
+ * rng.int(1, 10); // same value for every run
+ */
+export function random(seed) {
+  let state = (Number(seed) || 0) >>> 0; // eslint-disable-line no-bitwise
+
+  // mulberry32
+  /* eslint-disable no-bitwise */
+  const number = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let value = state;
+    value = Math.imul(value ^ (value >>> 15), value | 1);
+    value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+  /* eslint-enable no-bitwise */
+
+  const int = (min, max) => min + Math.floor(number() * (max - min + 1));
+  return {
+    number,
+    int,
+    bool: probability => number() < (_.isUndefined(probability) ? 0.5 : probability),
+    pick: list => list[int(0, list.length - 1)],
+    string: (length) => {
+      const chars = 'abcdefghijklmnopqrstuvwxyz0123456789';
+      return _.times(length || 8, () => chars[int(0, chars.length - 1)]).join('');
+    },
+  };
+}
+
+
+// classes
+// -------
+/**
+ * Factory for building records in a collection, tracking
+ * a sequence number for each record built.
+ */
+export class Factory {
+  /**
+   * Create a new Factory.
+   *
+   * @param {string} model - Name of collection for factory.
+   * @param {function} build - Function returning data for a new record.
+   * @param {object} options - Factory options.
+   * @param {function} options.after - Callback run after each record is created.
+   */
+  constructor(model, build, options) {
+    if (!_.isFunction(build)) {
+      throw new Error(`Factory for model \`${model}\` must be a function.`);
+    }
+    this.model = model;
+    this.build = build;
+    this.options = options || {};
+    this.sequence = 0;
+  }
+
+  /**
+   * Generate data for next record from factory, applying
+   * overrides on top of the generated data.
+   *
+   * @param {object} helpers - Helpers passed to factory function.
+   * @param {object} overrides - Data overriding generated data.
+   */
+  next(helpers, overrides) {
+    this.sequence += 1;
+    const data = this.build(Object.assign({ sequence: this.sequence }, helpers));
+    return Object.assign({}, data, overrides);
+  }
+}
+
+
+// exports
+// -------
+export default {
+  random,
+  Factory,
+};
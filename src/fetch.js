@@ -0,0 +1,198 @@
+/**
+ * Helpers for mocking `fetch` requests with mock servers.
+ */
+
+
+// imports
+// -------
+import _ from 'lodash';
+
+
+// classes
+// -------
+/**
+ * Minimal implementation of the `Headers` interface used
+ * when `Headers` isn't available in the global scope.
+ */
+export class FetchHeaders {
+  /**
+   * Create a new FetchHeaders object.
+   *
+   * @param {object|array} init - Headers as object, `Headers` object, or
+   *     list of `[key, value]` pairs.
+   */
+  constructor(init) {
+    this._map = {};
+    if (init && _.isFunction(init.forEach) && !_.isArray(init)) {
+      init.forEach((value, key) => this.set(key, value));
+    } else {
+      _.each(_.isArray(init) ? _.fromPairs(init) : init, (value, key) => this.set(key, value));
+    }
+  }
+
+  get(name) {
+    const value = this._map[String(name).toLowerCase()];
+    return _.isUndefined(value) ? null : value;
+  }
+
+  set(name, value) {
+    this._map[String(name).toLowerCase()] = String(value);
+  }
+
+  has(name) {
+    return String(name).toLowerCase() in this._map;
+  }
+
+  forEach(callback) {
+    _.each(this._map, (value, key) => callback(value, key, this));
+  }
+
+  entries() {
+    return _.toPairs(this._map)[Symbol.iterator]();
+  }
+
+  [Symbol.iterator]() {
+    return this.entries();
+  }
+}
+
+/**
+ * Minimal implementation of the `Response` interface used
+ * when `Response` isn't available in the global scope.
+ */
+export class FetchResponse {
+  /**
+   * Create a new FetchResponse object.
+   *
+   * @param {string} body - Response body.
+   * @param {object} init - Response options (`status`, `statusText`, and `headers`).
+   */
+  constructor(body, init) {
+    init = init || {};
+    this._body = _.isNil(body) ? '' : String(body);
+    this.status = _.isUndefined(init.status) ? 200 : init.status;
+    this.statusText = init.statusText || '';
+    this.headers = new FetchHeaders(init.headers);
+    this.ok = this.status >= 200 && this.status < 300;
+    this.redirected = false;
+    this.type = 'basic';
+    this.url = '';
+    this.bodyUsed = false;
+  }
+
+  text() {
+    if (this.bodyUsed) {
+      return Promise.reject(new TypeError('Body has already been consumed.'));
+    }
+    this.bodyUsed = true;
+    return Promise.resolve(this._body);
+  }
+
+  json() {
+    return this.text().then(JSON.parse);
+  }
+
+  clone() {
+    if (this.bodyUsed) {
+      throw new TypeError('Response body has already been consumed.');
+    }
+    return new FetchResponse(this._body, this);
+  }
+}
+
+
+// helpers
+// -------
+/**
+ * Normalize arguments for `fetch` calls into request method,
+ * url, headers, and payload. Requests can be specified as urls,
+ * `URL` objects, or `Request` objects, and JSON payloads are parsed.
+ *
+ * @param {string|object} input - Resource to fetch.
+ * @param {object} init - Options for request.
+ */
+export function parseRequest(input, init) {
+  init = init || {};
+  const resource = _.isObject(input) && !_.isUndefined(input.url) ? input : { url: String(input) };
+
+  // headers
+  let headers = init.headers || resource.headers || {};
+  if (_.isFunction(headers.forEach) && !_.isArray(headers)) {
+    const result = {};
+    headers.forEach((value, key) => {
+      result[key] = value;
+    });
+    headers = result;
+  } else if (_.isArray(headers)) {
+    headers = _.fromPairs(headers);
+  }
+
+  // payload
+  let data = _.isNil(init.body) ? undefined : init.body;
+  if (_.isString(data)) {
+    try {
+      data = JSON.parse(data);
+    } catch (err) {
+      // keep non-json payloads as-is
+    }
+  }
+
+  return {
+    method: (init.method || resource.method || 'GET').toUpperCase(),
+    url: resource.url,
+    headers: Object.assign({}, headers),
+    data,
+    signal: init.signal || resource.signal,
+  };
+}
+
+/**
+ * Create `Response` for `fetch` from mock server response, using
+ * `Response` from the specified scope if available.
+ *
+ * @param {object} scope - Global scope (i.e. `globalThis` or `window`).
+ * @param {object} response - Mock server response.
+ */
+export function createResponse(scope, response) {
+  const Constructor = _.isFunction(scope.Response) ? scope.Response : FetchResponse;
+  const empty = _.isUndefined(response.data) || [204, 205, 304].includes(response.status);
+  const headers = Object.assign({}, empty ? {} : { 'content-type': 'application/json' }, response.headers);
+  return new Constructor(empty ? null : JSON.stringify(response.data), {
+    status: response.status,
+    statusText: response.statusText,
+    headers: _.mapValues(headers, String),
+  });
+}
+
+/**
+ * Create error shaped like errors rejected by `fetch`
+ * for aborted requests.
+ */
+export function createAbortError() {
+  const error = new Error('The operation was aborted.');
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Resolve global scope for the environment, falling back to
+ * `window` or `global` where `globalThis` isn't available (Node < 12).
+ */
+export function globalScope() {
+  if (typeof globalThis !== 'undefined') {
+    return globalThis; // eslint-disable-line no-undef
+  }
+  return typeof window !== 'undefined' ? window : global; // eslint-disable-line no-undef
+}
+
+
+// exports
+// -------
+export default {
+  FetchHeaders,
+  FetchResponse,
+  parseRequest,
+  createResponse,
+  createAbortError,
+  globalScope,
+};
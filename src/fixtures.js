@@ -0,0 +1,121 @@
+/**
+ * Helpers for reading and writing model data to fixture files.
+ */
+
+
+// imports
+// -------
+import fs from 'fs';
+import path from 'path';
+import _ from 'lodash';
+import yaml from 'js-yaml';
+
+
+// config
+// ------
+/**
+ * Parsers and serializers for supported fixture file formats.
+ */
+const FORMATS = {
+  json: {
+    parse: JSON.parse,
+    stringify: data => `${JSON.stringify(data, null, 2)}\n`,
+  },
+  yaml: {
+    parse: yaml.safeLoad,
+    stringify: data => yaml.safeDump(data, { skipInvalid: true }),
+  },
+};
+
+const EXTENSIONS = {
+  '.json': 'json',
+  '.yaml': 'yaml',
+  '.yml': 'yaml',
+};
+
+
+// helpers
+// -------
+/**
+ * Read and parse a JSON or YAML file, using the file
+ * extension to determine the format.
+ *
+ * @param {string} file - Path to file.
+ */
+export function read(file) {
+  const ext = path.extname(file).toLowerCase();
+  if (!(ext in EXTENSIONS)) {
+    throw new Error(`Unsupported file format \`${ext}\`. Expected one of: ${Object.keys(EXTENSIONS).join(', ')}.`);
+  }
+  return FORMATS[EXTENSIONS[ext]].parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Read model data from a directory of fixture files, with one
+ * JSON or YAML file per model (i.e. `posts.json` or `profile.yml`).
+ * Files containing arrays are loaded as collections, and files
+ * containing objects are loaded as singletons.
+ *
+ * @param {string} dir - Directory containing fixture files.
+ *
+ * @example
+ * data() {
+ *   return fixtures(path.join(__dirname, 'fixtures'));
+ * }
+ */
+export function fixtures(dir) {
+  if (!fs.existsSync(dir)) {
+    throw new Error(`Fixture directory \`${dir}\` does not exist.`);
+  }
+  const result = {};
+  fs.readdirSync(dir).sort().forEach((file) => {
+    const ext = path.extname(file).toLowerCase();
+    if (!(ext in EXTENSIONS)) {
+      return;
+    }
+    const model = path.basename(file, path.extname(file));
+    if (model in result) {
+      throw new Error(`Multiple fixture files found for model \`${model}\`.`);
+    }
+    try {
+      result[model] = read(path.join(dir, file));
+    } catch (err) {
+      throw new Error(`Could not parse fixture file \`${file}\`: ${err.message}`);
+    }
+    if (!_.isObject(result[model])) {
+      throw new Error(`Fixture file \`${file}\` must contain an array or object.`);
+    }
+  });
+  return result;
+}
+
+/**
+ * Write model data to a directory of fixture files, with
+ * one file per model. The directory is created if it doesn't
+ * exist, and paths for the written files are returned.
+ *
+ * @param {string} dir - Directory to write fixture files to.
+ * @param {object} data - Mapping of model names to model data.
+ * @param {string} format - File format (`json` or `yaml`).
+ */
+export function write(dir, data, format) {
+  format = format || 'json';
+  if (!(format in FORMATS)) {
+    throw new Error(`Invalid fixture format \`${format}\`. Expected one of: ${Object.keys(FORMATS).join(', ')}.`);
+  }
+  fs.mkdirSync(dir, { recursive: true });
+  return _.map(data, (value, model) => {
+    const file = path.join(dir, `${model}.${format}`);
+    fs.writeFileSync(file, FORMATS[format].stringify(value));
+    return file;
+  });
+}
+
+
+// exports
+// -------
+export default {
+  read,
+  fixtures,
+  write,
+};
@@ -0,0 +1,264 @@
+/**
+ * Helpers for generating mock servers from HAR recordings.
+ */
+
+
+// imports
+// -------
+import fs from 'fs';
+import _ from 'lodash';
+import { singular } from './relations';
+import { respond } from './response';
+import { METHODS, parse as query, normalize } from './routes';
+
+
+// config
+// ------
+/**
+ * Response headers that describe the recorded transfer
+ * rather than the response, and aren't replayed.
+ */
+const TRANSFER = ['content-length', 'content-encoding', 'transfer-encoding', 'connection', 'keep-alive', 'date'];
+
+/**
+ * Pattern for path segments that look like record identifiers
+ * (integers, UUIDs, and object ids).
+ */
+const IDENTIFIER = /^(\d+|[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}|[0-9a-f]{24})$/i;
+
+
+// helpers
+// -------
+/**
+ * Load entries from HAR document (or file containing one).
+ *
+ * @param {object|string} input - HAR document or path to HAR file.
+ */
+function load(input) {
+  if (_.isString(input)) {
+    try {
+      input = JSON.parse(fs.readFileSync(input, 'utf8'));
+    } catch (err) {
+      throw new Error(`Could not read HAR file \`${input}\`: ${err.message}`);
+    }
+  }
+  const entries = _.get(input, 'log.entries');
+  if (!_.isArray(entries)) {
+    throw new Error('Invalid HAR document. Expected a document with `log.entries`.');
+  }
+  return entries;
+}
+
+/**
+ * Check if query parameters for request match recorded
+ * query parameters (comparing values as strings).
+ *
+ * @param {object} recorded - Recorded query parameters.
+ * @param {object} params - Query parameters for request.
+ */
+function same(recorded, params) {
+  const format = value => (_.isArray(value) ? value.map(String) : String(value));
+  return _.isEqual(_.mapValues(recorded, format), _.mapValues(params || {}, format));
+}
+
+/**
+ * Parse recorded response body, decoding base64 content
+ * and parsing JSON payloads.
+ *
+ * @param {object} content - HAR content object for response.
+ */
+function parse(content) {
+  let text = _.get(content, 'text');
+  if (_.isNil(text) || text === '') {
+    return undefined;
+  }
+  if (content.encoding === 'base64') {
+    text = Buffer.from(text, 'base64').toString('utf8');
+  }
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    return text;
+  }
+}
+
+/**
+ * Convert HAR entry into recording with the method, path,
+ * query, and response for the entry. Entries for urls outside
+ * of the base url are skipped.
+ *
+ * @param {object} entry - HAR entry.
+ * @param {string} base - Base url to strip from recorded urls.
+ */
+function record(entry, base) {
+  let url = entry.request.url;
+  if (base) {
+    if (!url.startsWith(base)) {
+      return undefined;
+    }
+    url = url.slice(base.length);
+  } else {
+    url = url.replace(/^[a-z][a-z\d+\-.]*:\/\/[^/]+/i, '');
+  }
+  const [path, search] = url.split('#')[0].split('?');
+  const headers = {};
+  (entry.response.headers || []).forEach((header) => {
+    const name = header.name.toLowerCase();
+    if (!TRANSFER.includes(name) && !name.startsWith(':')) {
+      headers[name] = name in headers ? `${headers[name]}, ${header.value}` : header.value;
+    }
+  });
+  return {
+    method: entry.request.method.toLowerCase(),
+    path: `/${path.replace(/^\/+/, '')}`,
+    query: query(search),
+    status: entry.response.status,
+    headers,
+    data: parse(entry.response.content),
+  };
+}
+
+/**
+ * Infer parameterized endpoints for recorded paths, replacing
+ * identifier segments that vary across paths with the same shape
+ * (i.e. `/items/1` and `/items/2`) with named parameters. The last
+ * varying segment becomes the `:id` parameter, and other segments
+ * are named after the preceding segment (i.e. `/authors/:authorId/posts/:id`).
+ * Recorded paths are matched against the endpoints via `normalize()`.
+ *
+ * @param {array} paths - Recorded paths.
+ */
+function parameterize(paths) {
+  const endpoints = {};
+  const shape = path => path.split('/').map(segment => (IDENTIFIER.test(segment) ? '*' : segment)).join('/');
+  _.each(_.groupBy(_.uniq(paths), shape), (items, key) => {
+    const parts = key.split('/');
+    const positions = parts.map((part, index) => index).filter(index => parts[index] === '*'
+      && _.uniq(items.map(item => item.split('/')[index])).length > 1);
+    items.forEach((item) => {
+      const segments = item.split('/');
+      positions.forEach((index) => {
+        const parent = parts[index - 1] === '*' ? 'param' : singular(parts[index - 1] || 'param');
+        segments[index] = index === _.last(positions) ? ':id' : `:${_.camelCase(parent)}Id`;
+      });
+      endpoints[segments.join('/')] = true;
+    });
+  });
+  return _.zipObject(paths, paths.map(path => normalize(path, endpoints).endpoint));
+}
+
+/**
+ * Infer collection data for parameterized item endpoints
+ * (i.e. `/items/:id`), using recorded payloads with an `id` for
+ * the item endpoint and the list endpoint (i.e. `/items`). Later
+ * recordings take precedence over earlier ones.
+ *
+ * @param {array} recordings - Recordings with endpoints.
+ */
+function infer(recordings) {
+  const collections = {};
+  _.uniq(recordings.map(item => item.endpoint)).forEach((endpoint) => {
+    const match = endpoint.match(/^((?:\/[^/:]+)*\/([^/:]+))\/:id$/);
+    if (match) {
+      collections[match[2]] = { list: match[1], item: endpoint, records: {} };
+    }
+  });
+  _.each(collections, (collection) => {
+    recordings.forEach((item) => {
+      if (item.status >= 300 || ![collection.list, collection.item].includes(item.endpoint)) {
+        return;
+      }
+      _.castArray(item.data).forEach((data) => {
+        if (_.isPlainObject(data) && !_.isNil(data.id)) {
+          collection.records[data.id] = Object.assign({}, collection.records[data.id], data);
+        }
+      });
+    });
+  });
+  return _.pickBy(collections, collection => !_.isEmpty(collection.records));
+}
+
+
+// generator
+// ---------
+/**
+ * Generate mock server class from a HAR recording, with `api()`
+ * endpoints replaying the recorded responses. Models and endpoints
+ * defined by `data()` and `api()` on the base class take precedence
+ * over generated ones. See `Server.fromHAR()` for options.
+ *
+ * @param {function} Base - Server class to extend.
+ * @param {object|string} input - HAR document or path to HAR file.
+ * @param {object} options - Generator options.
+ * @param {boolean} options.infer - Infer parameterized endpoints and collection
+ *     data from recorded urls and payloads.
+ * @param {function|RegExp} options.filter - Filter for recorded entries.
+ * @param {string} options.base - Base url to strip from recorded urls.
+ */
+export function har(Base, input, options) {
+  options = options || {};
+  let filter = options.filter || (entry => /json/.test(_.get(entry, 'response.content.mimeType', ''))
+    || !_.get(entry, 'response.content.text'));
+  if (_.isRegExp(filter)) {
+    const pattern = filter;
+    filter = entry => pattern.test(entry.request.url);
+  }
+
+  // convert entries into recordings
+  const recordings = load(input)
+    .filter(entry => _.get(entry, 'response.status') > 0 && METHODS.includes(entry.request.method.toUpperCase()))
+    .filter(filter)
+    .map(entry => record(entry, options.base))
+    .filter(item => !_.isUndefined(item));
+  const endpoints = options.infer ? parameterize(recordings.map(item => item.path)) : {};
+  recordings.forEach((item) => {
+    item.endpoint = endpoints[item.path] || item.path;
+  });
+  const collections = options.infer ? infer(recordings) : {};
+
+  return class extends Base {
+    data() {
+      return Object.assign(
+        _.mapValues(collections, collection => _.values(_.cloneDeep(collection.records))),
+        super.data(),
+      );
+    }
+
+    api() {
+      const generated = {};
+      _.each(_.groupBy(recordings, 'endpoint'), (items, endpoint) => {
+        const collection = _.findKey(collections, item => [item.list, item.item].includes(endpoint));
+        let defaults = {};
+        if (collection) {
+          defaults = endpoint === collections[collection].list ? this.collection(collection) : this.model(collection);
+        }
+        generated[endpoint] = _.mapValues(_.groupBy(items, 'method'), (entries, method) => {
+          if (defaults[method]) {
+            return defaults[method];
+          }
+
+          // replay recorded responses, in order for repeated requests
+          return (...args) => {
+            const request = _.last(args);
+            const path = request.url.split('?')[0];
+            let candidates = entries.filter(item => item.path === path);
+            candidates = candidates.length ? candidates : entries;
+            const matching = candidates.filter(item => same(item.query, request.query));
+            candidates = matching.length ? matching : candidates;
+            const count = request.server.requests({ method: request.method, url: request.url }).length;
+            const entry = candidates[Math.min(Math.max(count - 1, 0), candidates.length - 1)];
+            return respond(entry.status, _.cloneDeep(entry.data), entry.headers);
+          };
+        });
+      });
+      return Object.assign(generated, super.api());
+    }
+  };
+}
+
+
+// exports
+// -------
+export default {
+  har,
+};
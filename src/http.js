@@ -0,0 +1,164 @@
+/**
+ * Helpers for serving mock servers over HTTP.
+ */
+
+
+// imports
+// -------
+import http from 'http';
+import _ from 'lodash';
+import { METHODS, normalize } from './routes';
+
+
+// config
+// ------
+/**
+ * Methods allowed for cross-origin requests.
+ */
+const ALLOWED = METHODS.concat(['HEAD', 'OPTIONS']);
+
+
+// helpers
+// -------
+/**
+ * Read body for incoming request, parsing JSON payloads
+ * and returning other payloads as strings.
+ *
+ * @param {object} req - Incoming request.
+ */
+function body(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('error', reject);
+    req.on('end', () => {
+      const content = Buffer.concat(chunks).toString('utf8');
+      if (!content) {
+        resolve(undefined);
+        return;
+      }
+      try {
+        resolve(JSON.parse(content));
+      } catch (err) {
+        resolve(content);
+      }
+    });
+  });
+}
+
+/**
+ * Generate CORS headers for request, reflecting the
+ * request origin (or using the configured origin).
+ *
+ * @param {object} req - Incoming request.
+ * @param {boolean|string} option - CORS option for server.
+ * @param {object} headers - Response headers to expose.
+ */
+function cors(req, option, headers) {
+  if (!option) {
+    return {};
+  }
+  const origin = _.isString(option) ? option : req.headers.origin || '*';
+  const result = { 'access-control-allow-origin': origin };
+  if (origin !== '*') {
+    Object.assign(result, { 'access-control-allow-credentials': 'true', vary: 'Origin' });
+  }
+  const exposed = _.keys(headers).filter(key => key !== 'content-type');
+  if (exposed.length) {
+    result['access-control-expose-headers'] = exposed.join(', ');
+  }
+  return result;
+}
+
+
+// server
+// ------
+/**
+ * Create Node `http` server processing requests with a mock
+ * server. JSON payloads are parsed from request bodies, responses
+ * are serialized as JSON, and CORS headers are added for browser
+ * clients (including responses for preflight requests). Admin
+ * endpoints are available for resetting (`POST /__admin/reset`) and
+ * dumping (`GET /__admin/dump`) the database for the mock server.
+ * See `Server.listen()` for options.
+ *
+ * @param {Server} server - Mock server to process requests with.
+ * @param {object} options - HTTP server options.
+ */
+export function serve(server, options) {
+  options = Object.assign({ cors: true, admin: '/__admin' }, options);
+  const admin = options.admin ? `/${String(options.admin).replace(/^\/+|\/+$/g, '')}` : null;
+
+  // admin endpoints, returning the status and payload for responses
+  const routes = admin ? {
+    [`${admin}/reset`]: {
+      POST: () => {
+        server.reset();
+        return [204];
+      },
+    },
+    [`${admin}/dump`]: {
+      GET: () => [200, server.dump()],
+    },
+  } : {};
+
+  return http.createServer((req, res) => {
+    const method = req.method.toUpperCase();
+    const path = req.url.split('?')[0];
+
+    // send response for request
+    const send = (status, data, headers) => {
+      headers = _.mapKeys(headers || {}, (value, key) => key.toLowerCase());
+      const content = _.isUndefined(data) || method === 'HEAD' || status === 204 ? undefined : JSON.stringify(data);
+      if (!_.isUndefined(content) && !('content-type' in headers)) {
+        headers['content-type'] = 'application/json';
+      }
+      res.writeHead(status, Object.assign(_.mapValues(headers, String), cors(req, options.cors, headers)));
+      res.end(content);
+    };
+
+    // handle preflight requests
+    if (options.cors && method === 'OPTIONS' && req.headers['access-control-request-method']) {
+      res.writeHead(204, Object.assign(cors(req, options.cors), {
+        'access-control-allow-methods': ALLOWED.join(', '),
+        'access-control-allow-headers': req.headers['access-control-request-headers'] || '*',
+        'access-control-max-age': '600',
+      }));
+      res.end();
+      return;
+    }
+
+    // handle admin requests
+    if (admin && (path === admin || path.startsWith(`${admin}/`))) {
+      const { endpoint } = normalize(path, routes);
+      const handler = _.get(routes, [endpoint, method]);
+      if (handler) {
+        send(...handler());
+      } else {
+        send(404, { status: 404, message: `Admin endpoint \`${method} ${path.slice(admin.length)}\` does not exist.` });
+      }
+      return;
+    }
+
+    // process request with mock server
+    body(req).then(data => server.dispatch(method, req.url, data, { headers: req.headers })).then((response) => {
+      send(response.status, response.data, response.headers);
+    }, (error) => {
+      if (error.response) {
+        send(error.response.status, error.response.data, error.response.headers);
+      } else if (error.isAxiosError) {
+        // simulate network errors and timeouts
+        req.socket.destroy();
+      } else {
+        send(500, { status: 500, message: error.message });
+      }
+    });
+  });
+}
+
+
+// exports
+// -------
+export default {
+  serve,
+};
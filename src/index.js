@@ -6,9 +6,17 @@
 // imports
 // -------
 import { Server } from './server';
-import { Singleton, Collection } from './models';
+import { Singleton, Collection, define } from './models';
+import { Schema, ValidationError, IntegrityError } from './schema';
+import { belongsTo, hasMany, manyToMany } from './relations';
+import { respond } from './response';
+import { fixtures } from './fixtures';
+import { random } from './factories';
+import { Auth } from './auth';
+import { Contract, ContractError } from './contract';
 import {
- Forbidden, NotFound, Missing, ServerError,
+  BadRequest, Unauthorized, Forbidden, NotFound, Missing, Conflict,
+  UnprocessableEntity, TooManyRequests, ServerError, ServiceUnavailable,
 } from './errors';
 
 
@@ -17,12 +25,35 @@ import {
 export default {
   // main
   Server,
+  Auth,
+  Contract,
+  ContractError,
   // models
   Singleton,
   Collection,
+  define,
+  // relations
+  belongsTo,
+  hasMany,
+  manyToMany,
+  // schemas
+  Schema,
+  ValidationError,
+  IntegrityError,
+  // responses
+  respond,
+  // fixtures
+  fixtures,
+  random,
   // errors
+  BadRequest,
+  Unauthorized,
   Forbidden,
   NotFound,
   Missing,
+  Conflict,
+  UnprocessableEntity,
+  TooManyRequests,
   ServerError,
+  ServiceUnavailable,
 };
@@ -0,0 +1,219 @@
+/**
+ * Custom jest matchers for making assertions about
+ * requests and data processed by mock servers.
+ */
+
+
+// imports
+// -------
+import _ from 'lodash';
+
+
+// helpers
+// -------
+/**
+ * Ensure matcher was called with mock server object.
+ *
+ * @param {string} matcher - Name of matcher.
+ * @param {object} server - Object passed to `expect()`.
+ */
+function validate(matcher, server) {
+  if (!_.isObject(server) || !_.isFunction(server.requests) || !_.isFunction(server.dump)) {
+    throw new Error(`\`${matcher}\` must be called on a mock \`Server\` object.`);
+  }
+}
+
+/**
+ * Check if recorded request matches method and url,
+ * where urls can be specified as concrete urls (i.e. `/posts/1`)
+ * or abstract endpoints (i.e. `/posts/:id`).
+ *
+ * @param {object} request - Recorded request.
+ * @param {string} method - Request method to match.
+ * @param {string} url - Url or endpoint to match.
+ */
+function matches(request, method, url) {
+  if (request.method !== method.toUpperCase()) {
+    return false;
+  }
+  return [request.url, request.url.split('?')[0], request.endpoint].includes(url);
+}
+
+/**
+ * Format recorded requests for failure messages, showing
+ * requests closest to the expected request.
+ *
+ * @param {object} utils - Jest matcher utilities.
+ * @param {array} requests - Recorded requests.
+ * @param {string} method - Expected request method.
+ * @param {string} url - Expected request url.
+ */
+function closest(utils, requests, method, url) {
+  if (!requests.length) {
+    return 'No requests were received.';
+  }
+  const score = request => Number(request.method === method.toUpperCase())
+    + Number([request.url, request.url.split('?')[0], request.endpoint].includes(url)) * 2;
+  const items = _.take(_.orderBy(requests, score, 'desc'), 5).map((request) => {
+    const data = _.isUndefined(request.data) ? '' : ` ${utils.printReceived(request.data)}`;
+    return `  ${request.method} ${request.url} (${request.status})${data}`;
+  });
+  return `Closest requests received:\n${items.join('\n')}`;
+}
+
+/**
+ * Find record in dumped collection by id.
+ *
+ * @param {array} records - Dumped collection records.
+ * @param {string|number} id - Identifier for record.
+ */
+function find(records, id) {
+  return _.find(records, record => String(record.id) === String(id));
+}
+
+
+// matchers
+// --------
+/**
+ * Assert that server received request with specified
+ * method and url, optionally matching a request payload.
+ *
+ * @param {object} server - Mock server.
+ * @param {string} method - Request method.
+ * @param {string} url - Request url or abstract endpoint.
+ * @param {object} data - Request payload to match.
+ *
+ * @example
+ * expect(server).toHaveReceived('POST', '/posts', { title: 'Foo' });
+ */
+export function toHaveReceived(server, method, url, data) {
+  validate('toHaveReceived', server);
+  const check = arguments.length > 3;
+  const requests = server.requests();
+  const pass = requests.some(request => matches(request, method, url) && (!check || this.equals(request.data, data)));
+  const expected = `${method.toUpperCase()} ${url}${check ? ` ${this.utils.printExpected(data)}` : ''}`;
+  return {
+    pass,
+    message: () => [
+      this.utils.matcherHint(`${this.isNot ? '.not' : ''}.toHaveReceived`, 'server', 'method, url, data'),
+      '',
+      `Expected request ${this.isNot ? 'not ' : ''}to be received: ${expected}`,
+      closest(this.utils, requests, method, url),
+    ].join('\n'),
+  };
+}
+
+/**
+ * Assert that server received request with specified
+ * method and url a specific number of times.
+ *
+ * @param {object} server - Mock server.
+ * @param {string} method - Request method.
+ * @param {string} url - Request url or abstract endpoint.
+ * @param {number} times - Number of times request should have been received.
+ *
+ * @example
+ * expect(server).toHaveReceivedTimes('GET', '/posts/:id', 2);
+ */
+export function toHaveReceivedTimes(server, method, url, times) {
+  validate('toHaveReceivedTimes', server);
+  const requests = server.requests();
+  const count = requests.filter(request => matches(request, method, url)).length;
+  return {
+    pass: count === times,
+    message: () => [
+      this.utils.matcherHint(`${this.isNot ? '.not' : ''}.toHaveReceivedTimes`, 'server', 'method, url, times'),
+      '',
+      `Expected ${method.toUpperCase()} ${url} ${this.isNot ? 'not ' : ''}to be received ${times} time(s), `
+        + `but it was received ${count} time(s).`,
+      closest(this.utils, requests, method, url),
+    ].join('\n'),
+  };
+}
+
+/**
+ * Assert that server database contains record in model
+ * with specified id, optionally matching record fields.
+ *
+ * @param {object} server - Mock server.
+ * @param {string} model - Database model.
+ * @param {string|number} id - Identifier for record.
+ * @param {object} fields - Record fields to match.
+ *
+ * @example
+ * expect(server).toHaveRecord('posts', 3, { title: 'Foo' });
+ */
+export function toHaveRecord(server, model, id, fields) {
+  validate('toHaveRecord', server);
+  const hint = this.utils.matcherHint(`${this.isNot ? '.not' : ''}.toHaveRecord`, 'server', 'model, id, fields');
+  const dump = server.dump();
+  if (!_.isArray(dump[model])) {
+    return {
+      pass: false,
+      message: () => `${hint}\n\nModel \`${model}\` is not a collection in the mock server database. `
+        + `Available models: ${Object.keys(dump).join(', ')}`,
+    };
+  }
+
+  // missing record
+  const record = find(dump[model], id);
+  if (_.isUndefined(record)) {
+    return {
+      pass: false,
+      message: () => `${hint}\n\nExpected record \`${id}\` in model \`${model}\`, `
+        + `but found records: ${dump[model].map(item => item.id).join(', ') || 'none'}`,
+    };
+  }
+
+  // check fields
+  const received = _.isUndefined(fields) ? record : _.pick(record, _.keys(fields));
+  const pass = _.isUndefined(fields) || this.equals(received, fields);
+  return {
+    pass,
+    message: () => {
+      if (!this.isNot) {
+        return `${hint}\n\nRecord \`${id}\` in model \`${model}\` does not match:\n${this.utils.diff(fields, received)}`;
+      }
+      return _.isUndefined(fields)
+        ? `${hint}\n\nExpected no record \`${id}\` in model \`${model}\`, but found:\n${this.utils.printReceived(record)}`
+        : `${hint}\n\nExpected record \`${id}\` in model \`${model}\` not to match:\n${this.utils.printExpected(fields)}`;
+    },
+  };
+}
+
+/**
+ * Assert that server database matches a (partial) dump
+ * of the database, as returned by `server.dump()`.
+ *
+ * @param {object} server - Mock server.
+ * @param {object} expected - Partial database dump to match.
+ *
+ * @example
+ * expect(server).toMatchDatabase({ posts: [{ id: 1, title: 'Foo' }] });
+ */
+export function toMatchDatabase(server, expected) {
+  validate('toMatchDatabase', server);
+  const dump = server.dump();
+  const mismatched = Object.keys(expected).filter(model => !_.isMatch({ [model]: dump[model] }, _.pick(expected, model)));
+  return {
+    pass: mismatched.length === 0,
+    message: () => {
+      const hint = this.utils.matcherHint(`${this.isNot ? '.not' : ''}.toMatchDatabase`, 'server', 'expected');
+      if (this.isNot) {
+        return `${hint}\n\nExpected database not to match:\n${this.utils.printExpected(expected)}`;
+      }
+      const diffs = mismatched.map(model => `Model \`${model}\`:\n${this.utils.diff(expected[model], dump[model])}`);
+      return `${hint}\n\n${diffs.join('\n\n')}`;
+    },
+  };
+}
+
+
+// exports
+// -------
+export default {
+  toHaveReceived,
+  toHaveReceivedTimes,
+  toHaveRecord,
+  toMatchDatabase,
+};
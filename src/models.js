@@ -6,6 +6,8 @@
 // imports
 // -------
 import _ from 'lodash';
+import { Schema, ValidationError, IntegrityError } from './schema';
+import { check, remove } from './relations';
 
 
 // helpers
@@ -26,13 +28,120 @@ function format(obj, id) {
   return data;
 }
 
+/**
+ * Add computed fields for relations declared for collection
+ * to formatted record. Related records are formatted without
+ * their own relation fields (to avoid circular references).
+ *
+ * @param {object} db - Mock server database.
+ * @param {object} relations - Relations declared for collection.
+ * @param {object} record - Formatted record.
+ */
+function populate(db, relations, record) {
+  _.each(relations, (relation, field) => {
+    const target = db[relation.model];
+    const related = key => (key in target.data ? format(target.data[key], key) : null);
+    if (relation.type === 'belongsTo') {
+      record[field] = _.isNil(record[relation.key]) ? null : related(record[relation.key]);
+    } else if (relation.type === 'hasMany') {
+      const keys = _.keys(target.data).filter(key => !_.isNil(target.data[key][relation.key])
+        && String(target.data[key][relation.key]) === String(record.id));
+      record[field] = keys.map(related);
+    } else {
+      record[field] = _.castArray(record[relation.key] || []).map(related).filter(item => item !== null);
+    }
+  });
+  return record;
+}
+
+/**
+ * Remove computed relation fields from data submitted for record.
+ *
+ * @param {object} data - Data submitted for record.
+ * @param {object} relations - Relations declared for collection.
+ * @param {array} keys - Additional keys to remove.
+ */
+function detach(data, relations, keys) {
+  if (!_.isPlainObject(data)) {
+    return data;
+  }
+  return _.omit(data, _.keys(relations).concat(keys || []));
+}
+
+/**
+ * Normalize schema option for model.
+ *
+ * @param {object|Schema} spec - Schema or field specifications for schema.
+ */
+function schema(spec) {
+  if (_.isNil(spec) || spec instanceof Schema) {
+    return spec || null;
+  }
+  return new Schema(spec);
+}
+
 
 // classes
 // -------
+/**
+ * Container for model data declared alongside model
+ * options (i.e. schemas) in `Server.data()`.
+ */
+export class Definition {
+  constructor(data, options) {
+    this.data = data;
+    this.options = options || {};
+  }
+}
+
+/**
+ * Declare data for model in `Server.data()` alongside
+ * options for the model, including a `schema` for
+ * validating records in the model.
+ *
+ * @param {array|object} data - Data for model.
+ * @param {object} options - Model options.
+ *
+ * @example
+ * data() {
+ *   return {
+ *     posts: define([
+ *       { title: 'Foo', body: 'foo bar' },
+ *     ], {
+ *       schema: {
+ *         title: { type: 'string', required: true, unique: true },
+ *         body: 'string',
+ *       },
+ *     }),
+ *   };
+ * }
+ */
+export function define(data, options) {
+  return new Definition(data, options);
+}
+
 /**
  * Abstract model class for databases.
  */
 class Model {
+  /**
+   * Apply schema defaults and validation to record data
+   * (if a schema was specified for the model), returning
+   * the data that should be stored for the record.
+   *
+   * @param {object} data - Data submitted for record.
+   * @param {object} current - Current data for record.
+   */
+  validate(data, current) {
+    if (!this.schema) {
+      return Object.assign({}, current, data);
+    }
+    if (!_.isPlainObject(data)) {
+      throw new ValidationError('Request payload must be an object.', {}, 400);
+    }
+    return this.schema.validate(this.schema.defaults(Object.assign({}, current, data)));
+  }
+
   /**
    * Get all records from model.
    */
@@ -47,12 +156,39 @@ class Model {
     return this.all();
   }
 
+  /**
+   * Return deep copy of current state for model, which
+   * can be restored later via `restore()`.
+   */
+  snapshot() {
+    return {
+      data: _.cloneDeep(this.data),
+      head: this.head,
+    };
+  }
+
+  /**
+   * Restore model to state from `snapshot()`. Data are
+   * restored in place, so references to the model remain valid.
+   *
+   * @param {object} state - Model state from `snapshot()`.
+   */
+  restore(state) {
+    const data = _.cloneDeep(state.data);
+    _.keys(this.data).forEach((key) => {
+      delete this.data[key];
+    });
+    Object.assign(this.data, data);
+    if (!_.isUndefined(state.head)) {
+      this.head = state.head;
+    }
+  }
+
   /**
    * Reset database to initial state.
    */
   reset() {
-    this.data = _.clone(this.backup);
-    this.head = this.backupIndex;
+    this.restore(this.backup);
   }
 }
 
@@ -66,26 +202,43 @@ export class Collection extends Model {
    * Create a new Collection.
    *
    * @param {string} name - Name of model.
-   * @param {array} data - Data to store.
+   * @param {array} data - Data to store. Records with an `id` are
+   *     stored under that id.
    * @param {function} index - Indexing function for model ids.
+   * @param {object} options - Model options (i.e. `schema` for validating records,
+   *     and `relations` to other collections in the `db` for the model).
    */
-  constructor(name, data, index) {
+  constructor(name, data, index, options) {
     super();
+    options = options || {};
     this.index = index;
     this.name = name;
     this.data = {};
+    this.schema = schema(options.schema);
+    this.relations = options.relations || {};
+    this.db = options.db || null;
 
     if (!_.isArray(data)) {
       throw new Error('Inputs to `Collection` object must be `Array` type.');
     }
     this.head = 0;
     data.map((value) => {
-      this.head = this.index(this.head);
-      this.data[this.head] = value;
+      // use explicit ids for records (i.e. from fixtures)
+      let key;
+      if (_.isObject(value) && !_.isNil(value.id)) {
+        key = value.id;
+        value = _.omit(value, 'id');
+        if (!_.isNaN(Number(key)) && Number(key) > Number(this.head)) {
+          this.head = Number(key);
+        }
+      } else {
+        this.head = this.index(this.head);
+        key = this.head;
+      }
+      this.data[key] = this.schema ? this.validate(value) : value;
       return value;
     });
-    this.backupIndex = this.head;
-    this.backup = _.clone(data);
+    this.backup = this.snapshot();
 
     return new Proxy(this, {
       get: (obj, prop) => ((prop in obj.data) ? { id: prop, ...obj.data[prop] } : obj[prop]),
@@ -122,7 +275,8 @@ export class Collection extends Model {
     if (!(id in this.data)) {
       return undefined;
     }
-    return format(this.data[id], id);
+    const record = format(this.data[id], id);
+    return this.db ? populate(this.db, this.relations, record) : record;
   }
 
   /**
@@ -132,6 +286,18 @@ export class Collection extends Model {
     return Object.keys(this.data).map(id => this.get(id));
   }
 
+  /**
+   * Get stored data for records in collection, without computed
+   * (function) fields or fields for declared relations (i.e. for
+   * writing fixture files).
+   */
+  stored() {
+    return Object.keys(this.data).map(id => Object.assign(
+      { id: _.isNaN(Number(id)) ? id : Number(id) },
+      detach(_.omitBy(this.data[id], _.isFunction), this.relations),
+    ));
+  }
+
   /**
    * Add data to collection.
    *
@@ -150,6 +316,11 @@ export class Collection extends Model {
       }
     });
 
+    // validate and check constraints
+    data = this.validate(detach(data, this.relations));
+    this.unique(data);
+    this.integrity(data);
+
     // generate new index and save data
     this.head = this.index(this.head);
     this.data[this.head] = data;
@@ -158,25 +329,91 @@ export class Collection extends Model {
 
   /**
    * Update data for model.
+   *
+   * @param {number} id - Identifier for record.
+   * @param {object} data - Data to update record with.
    */
   update(id, data) {
     if (!(id in this.data)) {
       throw new Error(`Specified id \`${id}\` not in collection.`);
     }
-    _.map(data, (value, key) => {
-      this.data[id][key] = value;
-    });
+    const record = this.validate(detach(data, this.relations), this.data[id]);
+    this.unique(record, id);
+    this.integrity(record);
+    Object.assign(this.data[id], record);
+    return this.get(id);
+  }
+
+  /**
+   * Replace data for model, preserving computed (function)
+   * fields defined for the record.
+   *
+   * @param {number} id - Identifier for record.
+   * @param {object} data - Data to replace record with.
+   */
+  replace(id, data) {
+    if (!(id in this.data)) {
+      throw new Error(`Specified id \`${id}\` not in collection.`);
+    }
+    const record = this.validate(detach(data, this.relations, ['id']), _.pickBy(this.data[id], _.isFunction));
+    this.unique(record, id);
+    this.integrity(record);
+    this.data[id] = record;
     return this.get(id);
   }
 
   /**
-   * Remove record from collection.
+   * Check unique constraints from model schema for record,
+   * throwing an `IntegrityError` if other records in the
+   * collection share values for unique fields.
+   *
+   * @param {object} data - Record data to check.
+   * @param {number} id - Identifier for record (excluded from checks).
+   */
+  unique(data, id) {
+    if (!this.schema) {
+      return;
+    }
+    const errors = {};
+    this.schema.unique.forEach((key) => {
+      if (_.isNil(data[key])) {
+        return;
+      }
+      const duplicate = _.some(this.data, (record, other) => String(other) !== String(id) && _.isEqual(record[key], data[key]));
+      if (duplicate) {
+        errors[key] = ['Must be unique.'];
+      }
+    });
+    if (!_.isEmpty(errors)) {
+      throw new IntegrityError(`Unique constraint failed for model \`${this.name}\`.`, errors);
+    }
+  }
+
+  /**
+   * Check foreign keys for relations declared for collection,
+   * throwing an `IntegrityError` if related records don't exist.
+   *
+   * @param {object} data - Record data to check.
+   */
+  integrity(data) {
+    if (this.db) {
+      check(this.db, this, data);
+    }
+  }
+
+  /**
+   * Remove record from collection, applying `onDelete` actions
+   * for relations referencing the collection.
    *
    * @param {string} id - Identifier for record.
    */
-   remove(id) {
-     delete this.data[id];
-   }
+  remove(id) {
+    if (this.db) {
+      remove(this.db, this.name, id);
+    } else {
+      delete this.data[id];
+    }
+  }
 }
 
 
@@ -191,16 +428,19 @@ export class Singleton extends Model {
    *
    * @param {string} name - Name of model.
    * @param {array} data - Data to store.
+   * @param {object} options - Model options (i.e. `schema` for validating data).
    */
-  constructor(name, data) {
+  constructor(name, data, options) {
     super();
+    options = options || {};
     this.name = name;
+    this.schema = schema(options.schema);
 
     if (!_.isObject(data)) {
       throw new Error('Inputs to `Singleton` object must be `Object` type.');
     }
-    this.backup = _.clone(data);
-    this.data = data;
+    this.data = this.schema ? this.validate(data) : data;
+    this.backup = this.snapshot();
 
     return new Proxy(this, {
       get: (obj, prop) => {
@@ -225,9 +465,23 @@ export class Singleton extends Model {
    * Update data for model.
    */
   update(data) {
-    _.map(data, (value, key) => {
-      this.data[key] = value;
+    Object.assign(this.data, this.validate(data, this.data));
+    return this.json();
+  }
+
+  /**
+   * Replace data for model, preserving computed (function)
+   * fields defined for the singleton.
+   *
+   * @param {object} data - Data to replace model with.
+   */
+  replace(data) {
+    const record = this.data;
+    const result = this.validate(data, _.pickBy(record, _.isFunction));
+    _.each(_.keys(_.omitBy(record, _.isFunction)), (key) => {
+      delete record[key];
     });
+    Object.assign(record, result);
     return this.json();
   }
 
@@ -244,6 +498,14 @@ export class Singleton extends Model {
   all() {
     return format(this.data);
   }
+
+  /**
+   * Get stored data for singleton, without computed
+   * (function) fields (i.e. for writing fixture files).
+   */
+  stored() {
+    return _.omitBy(this.data, _.isFunction);
+  }
 }
 
 
@@ -252,4 +514,5 @@ export class Singleton extends Model {
 export default {
   Singleton,
   Collection,
+  define,
 };
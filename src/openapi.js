@@ -0,0 +1,349 @@
+/**
+ * Helpers for generating mock servers from OpenAPI documents.
+ */
+
+
+// imports
+// -------
+import _ from 'lodash';
+import { read } from './fixtures';
+import { singular } from './relations';
+import { respond } from './response';
+import { METHODS } from './routes';
+
+
+// helpers
+// -------
+/**
+ * Check if path segment is a templated parameter (i.e. `{id}`).
+ *
+ * @param {string} segment - Path segment.
+ */
+function templated(segment) {
+  return /^\{[^}]+\}$/.test(segment);
+}
+
+/**
+ * Resolve local `$ref` pointers (i.e. `#/components/schemas/Post`)
+ * in an OpenAPI document.
+ *
+ * @param {object} spec - OpenAPI document.
+ * @param {object} item - Object that may contain a `$ref` pointer.
+ */
+export function deref(spec, item) {
+  const seen = [];
+  while (_.isPlainObject(item) && _.isString(item.$ref)) {
+    const ref = item.$ref;
+    if (!ref.startsWith('#/')) {
+      throw new Error(`Unsupported reference \`${ref}\` in OpenAPI document (only local references are supported).`);
+    }
+    if (seen.includes(ref)) {
+      throw new Error(`Circular reference \`${ref}\` in OpenAPI document.`);
+    }
+    seen.push(ref);
+    item = _.get(spec, ref.slice(2).split('/').map(part => part.replace(/~1/g, '/').replace(/~0/g, '~')));
+    if (_.isUndefined(item)) {
+      throw new Error(`Could not resolve reference \`${ref}\` in OpenAPI document.`);
+    }
+  }
+  return item;
+}
+
+/**
+ * Find JSON media object for successful responses to an operation,
+ * along with the status code for the response.
+ *
+ * @param {object} spec - OpenAPI document.
+ * @param {object} operation - OpenAPI operation object.
+ */
+function success(spec, operation) {
+  const codes = _.keys(operation.responses).filter(code => /^2/.test(code)).sort();
+  const code = codes.length ? codes[0] : 'default';
+  const response = deref(spec, _.get(operation.responses, code)) || {};
+  const type = _.find(_.keys(response.content), key => /json/.test(key)) || _.first(_.keys(response.content));
+  return {
+    status: /^2\d\d$/.test(code) ? Number(code) : 200,
+    media: type ? response.content[type] : undefined,
+  };
+}
+
+/**
+ * Return example for media object, using the `example`
+ * property or the first value in `examples`.
+ *
+ * @param {object} spec - OpenAPI document.
+ * @param {object} media - OpenAPI media type object.
+ */
+function example(spec, media) {
+  if (_.isUndefined(media)) {
+    return undefined;
+  }
+  if (!_.isUndefined(media.example)) {
+    return media.example;
+  }
+  const first = _.first(_.values(media.examples));
+  return first ? deref(spec, first).value : undefined;
+}
+
+/**
+ * Generate sample value for schema, using examples declared
+ * for the schema or (recursively) for its properties and items.
+ *
+ * @param {object} spec - OpenAPI document.
+ * @param {object} schema - OpenAPI schema object.
+ * @param {array} seen - References already visited (for recursive schemas).
+ */
+function sample(spec, schema, seen) {
+  seen = seen || [];
+  if (_.isPlainObject(schema) && schema.$ref) {
+    if (seen.includes(schema.$ref)) {
+      return undefined;
+    }
+    seen = seen.concat([schema.$ref]);
+  }
+  schema = deref(spec, schema);
+  if (!_.isPlainObject(schema)) {
+    return undefined;
+  }
+  if (!_.isUndefined(schema.example)) {
+    return schema.example;
+  }
+  if (schema.allOf) {
+    const parts = schema.allOf.map(item => sample(spec, item, seen)).filter(_.isPlainObject);
+    return parts.length ? Object.assign({}, ...parts) : undefined;
+  }
+  if (schema.type === 'array') {
+    const item = sample(spec, schema.items, seen);
+    return _.isUndefined(item) ? undefined : [item];
+  }
+  if (schema.properties) {
+    const result = _.omitBy(_.mapValues(schema.properties, item => sample(spec, item, seen)), _.isUndefined);
+    return _.isEmpty(result) ? undefined : result;
+  }
+  return undefined;
+}
+
+/**
+ * Return payload for media object, using examples for the media
+ * object or sample values generated from its schema.
+ *
+ * @param {object} spec - OpenAPI document.
+ * @param {object} media - OpenAPI media type object.
+ */
+function payload(spec, media) {
+  const value = example(spec, media);
+  return _.isUndefined(value) ? sample(spec, _.get(media, 'schema')) : value;
+}
+
+/**
+ * Check if schema (or the schema it references) describes an array.
+ *
+ * @param {object} spec - OpenAPI document.
+ * @param {object} schema - OpenAPI schema object.
+ */
+function listed(spec, schema) {
+  schema = deref(spec, schema);
+  return _.isPlainObject(schema) && schema.type === 'array';
+}
+
+/**
+ * Build route plan for paths in an OpenAPI document, classifying
+ * each path as a collection (i.e. `/posts`), model (i.e. `/posts/{id}`),
+ * or singleton (i.e. `/profile`) route for a model. Paths that don't
+ * look like CRUD routes (i.e. `/posts/{id}/publish`) are planned as
+ * `example` routes that respond with the examples in the document.
+ *
+ * @param {object} spec - OpenAPI document.
+ */
+function plan(spec) {
+  const paths = _.mapValues(spec.paths, item => deref(spec, item) || {});
+  const operations = item => _.pick(item, METHODS.map(_.toLower));
+
+  // find collections
+  const collections = new Set();
+  _.each(paths, (item, path) => {
+    const segments = path.split('/').filter(Boolean);
+    segments.forEach((segment, index) => {
+      if (!templated(segment) && templated(segments[index + 1] || '')) {
+        collections.add(segment);
+      }
+    });
+    const last = _.last(segments);
+    if (last && !templated(last) && item.get && listed(spec, _.get(success(spec, item.get), 'media.schema'))) {
+      collections.add(last);
+    }
+  });
+
+  // classify routes
+  return _.map(paths, (item, path) => {
+    const segments = path.split('/').filter(Boolean);
+    const params = segments.filter(templated).map(segment => segment.slice(1, -1));
+    const last = _.last(segments) || '';
+    const endpoint = `/${segments.map(segment => (templated(segment) ? `:${segment.slice(1, -1)}` : segment)).join('/')}`;
+    const route = {
+      path, endpoint, type: 'example', operations: operations(item),
+    };
+    if (!templated(last) && collections.has(last)) {
+      Object.assign(route, { type: 'collection', model: last });
+    } else if (templated(last) && collections.has(segments[segments.length - 2])) {
+      Object.assign(route, { type: 'model', model: segments[segments.length - 2] });
+      params.pop();
+    } else if (last && !params.length && item.get && !listed(spec, _.get(success(spec, item.get), 'media.schema'))) {
+      Object.assign(route, { type: 'singleton', model: last });
+    }
+
+    // scope nested routes by parent parameters
+    if (route.type === 'collection' || route.type === 'model') {
+      route.scope = {};
+      params.forEach((param) => {
+        const parent = segments[segments.indexOf(`{${param}}`) - 1];
+        route.scope[param] = param === 'id' && parent ? `${singular(parent)}_id` : _.snakeCase(param);
+      });
+    }
+    return route;
+  });
+}
+
+/**
+ * Generate initial data for models in route plan, using
+ * examples for list, item, and request payload schemas.
+ *
+ * @param {object} spec - OpenAPI document.
+ * @param {array} routes - Route plan for document.
+ */
+function seed(spec, routes) {
+  const data = {};
+  routes.forEach((route) => {
+    if (route.type === 'collection' || route.type === 'model') {
+      data[route.model] = data[route.model] || { list: undefined, item: undefined };
+    } else if (route.type === 'singleton' && !(route.model in data)) {
+      data[route.model] = { singleton: undefined };
+    }
+  });
+
+  // gather examples
+  routes.forEach((route) => {
+    const entry = data[route.model];
+    const { get, post, put } = route.operations;
+    if (route.type === 'collection' && get && _.isUndefined(entry.list)) {
+      const value = payload(spec, success(spec, get).media);
+      entry.list = _.isArray(value) ? value : undefined;
+    } else if (route.type === 'model' && get && _.isUndefined(entry.item)) {
+      entry.item = payload(spec, success(spec, get).media);
+    } else if (route.type === 'singleton' && _.isUndefined(entry.singleton)) {
+      entry.singleton = payload(spec, success(spec, get).media);
+    }
+    if (route.type === 'collection' && (post || put) && _.isUndefined(entry.item)) {
+      const body = deref(spec, (post || put).requestBody);
+      const type = _.find(_.keys(_.get(body, 'content')), key => /json/.test(key));
+      if (type) {
+        entry.item = payload(spec, body.content[type]);
+      }
+    }
+  });
+
+  // format model data
+  return _.mapValues(data, (entry) => {
+    if ('singleton' in entry) {
+      return _.isPlainObject(entry.singleton) ? entry.singleton : {};
+    }
+    if (!_.isUndefined(entry.list)) {
+      return entry.list.filter(_.isPlainObject);
+    }
+    return _.isPlainObject(entry.item) ? [entry.item] : [];
+  });
+}
+
+
+// generator
+// ---------
+/**
+ * Load OpenAPI 3 document from an object or a JSON/YAML
+ * file, checking the version and paths for the document.
+ *
+ * @param {object|string} spec - OpenAPI document or path to JSON/YAML file.
+ */
+export function load(spec) {
+  if (_.isString(spec)) {
+    try {
+      spec = read(spec);
+    } catch (err) {
+      throw new Error(`Could not read OpenAPI document \`${spec}\`: ${err.message}`);
+    }
+  }
+  if (!_.isPlainObject(spec) || !/^3\./.test(String(spec.openapi)) || !_.isPlainObject(spec.paths)) {
+    throw new Error('Invalid OpenAPI document. Expected an OpenAPI 3.x document with `paths`.');
+  }
+  return spec;
+}
+
+/**
+ * Generate mock server class from an OpenAPI 3 document, with
+ * `data()` seeded from examples in the document and `api()` built
+ * from the paths in the document. Models and endpoints defined by
+ * `data()` and `api()` on the base class take precedence over
+ * generated ones. See `Server.fromOpenAPI()` for options.
+ *
+ * @param {function} Base - Server class to extend.
+ * @param {object|string} spec - OpenAPI document or path to JSON/YAML file.
+ * @param {object} options - Generator options.
+ * @param {object} options.operations - Mapping of operation ids (or
+ *     `METHOD /path` strings) to request processors overriding
+ *     generated processors.
+ */
+export function openapi(Base, spec, options) {
+  options = options || {};
+  spec = load(spec);
+  const routes = plan(spec);
+  const data = seed(spec, routes);
+  const overrides = options.operations || {};
+
+  // check overrides
+  const names = _.flatMap(routes, route => _.flatMap(route.operations, (operation, method) => [
+    `${method.toUpperCase()} ${route.path}`, operation.operationId,
+  ]));
+  _.each(overrides, (fn, key) => {
+    if (!names.includes(key)) {
+      throw new Error(`Operation \`${key}\` not found in OpenAPI document.`);
+    }
+  });
+
+  return class extends Base {
+    data() {
+      return Object.assign(_.cloneDeep(data), super.data());
+    }
+
+    api() {
+      const generated = {};
+      routes.forEach((route) => {
+        const processors = {
+          collection: () => this.collection({ model: route.model, scope: route.scope }),
+          model: () => this.model({ model: route.model, scope: route.scope }),
+          singleton: () => this.singleton(route.model),
+        }[route.type];
+        const defaults = processors ? processors() : {};
+        generated[route.endpoint] = _.mapValues(route.operations, (operation, method) => {
+          const override = overrides[`${method.toUpperCase()} ${route.path}`] || overrides[operation.operationId];
+          if (override) {
+            return override;
+          }
+          if (defaults[method]) {
+            return defaults[method];
+          }
+          const { status, media } = success(spec, operation);
+          const value = payload(spec, media);
+          return () => respond(status, _.cloneDeep(value));
+        });
+      });
+      return Object.assign(generated, super.api());
+    }
+  };
+}
+
+
+// exports
+// -------
+export default {
+  load,
+  openapi,
+};
@@ -0,0 +1,280 @@
+/**
+ * Declarative relationships between collections.
+ */
+
+
+// imports
+// -------
+import _ from 'lodash';
+import { IntegrityError } from './schema';
+
+
+// config
+// ------
+const ACTIONS = ['cascade', 'nullify', 'restrict'];
+
+
+// helpers
+// -------
+/**
+ * Naive singularization for model names, used for
+ * generating default foreign keys (i.e. `posts` -> `post_id`).
+ *
+ * @param {string} name - Model name.
+ */
+export function singular(name) {
+  return name.replace(/s$/, '');
+}
+
+/**
+ * Check if record references id via foreign key.
+ *
+ * @param {object} record - Record data.
+ * @param {string} key - Foreign key on record.
+ * @param {boolean} many - Whether foreign key holds a list of ids.
+ * @param {string|number} id - Identifier to check.
+ */
+function references(record, key, many, id) {
+  if (many) {
+    return _.map(record[key], String).includes(String(id));
+  }
+  return !_.isNil(record[key]) && String(record[key]) === String(id);
+}
+
+
+// classes
+// -------
+/**
+ * Relationship declared between collections via the
+ * `relations` option for `define()`.
+ */
+export class Relation {
+  /**
+   * Create a new Relation.
+   *
+   * @param {string} type - Relation type (`belongsTo`, `hasMany`, or `manyToMany`).
+   * @param {string} model - Related collection.
+   * @param {object} options - Relation options.
+   * @param {string} options.key - Foreign key for relation.
+   * @param {string} options.onDelete - Action for dependent records when
+   *     related records are deleted (`cascade`, `nullify`, or `restrict`).
+   */
+  constructor(type, model, options) {
+    options = options || {};
+    if (!_.isUndefined(options.onDelete) && !ACTIONS.includes(options.onDelete)) {
+      throw new Error(`Invalid \`onDelete\` action \`${options.onDelete}\`. Expected one of: ${ACTIONS.join(', ')}.`);
+    }
+    this.type = type;
+    this.model = model;
+    this.key = options.key;
+    this.onDelete = options.onDelete;
+  }
+
+  /**
+   * Resolve default foreign key for relation, based on
+   * the field and model the relation is declared on.
+   *
+   * @param {string} owner - Model relation is declared on.
+   * @param {string} field - Field relation is declared as.
+   */
+  resolve(owner, field) {
+    if (_.isUndefined(this.key)) {
+      this.key = {
+        belongsTo: `${field}_id`,
+        hasMany: `${singular(owner)}_id`,
+        manyToMany: `${singular(this.model)}_ids`,
+      }[this.type];
+    }
+    return this;
+  }
+}
+
+/**
+ * Declare relation for records holding a foreign key
+ * to a record in another collection (i.e. `post.author_id`).
+ * The foreign key defaults to `<field>_id`.
+ *
+ * @param {string} model - Related collection.
+ * @param {object} options - Relation options (`key` and `onDelete`).
+ *
+ * @example
+ * author: belongsTo('authors', { key: 'author_id', onDelete: 'cascade' })
+ */
+export function belongsTo(model, options) {
+  return new Relation('belongsTo', model, options);
+}
+
+/**
+ * Declare relation for records referenced by foreign keys
+ * on records in another collection (i.e. `comment.post_id`). The
+ * foreign key defaults to `<model>_id` (singularized).
+ *
+ * @param {string} model - Related collection.
+ * @param {object} options - Relation options (`key` and `onDelete`).
+ *
+ * @example
+ * comments: hasMany('comments', { key: 'post_id', onDelete: 'cascade' })
+ */
+export function hasMany(model, options) {
+  return new Relation('hasMany', model, options);
+}
+
+/**
+ * Declare relation for records holding a list of foreign keys
+ * to records in another collection (i.e. `post.tag_ids`). The
+ * foreign key defaults to `<related model>_ids` (singularized).
+ *
+ * @param {string} model - Related collection.
+ * @param {object} options - Relation options (`key` and `onDelete`).
+ *
+ * @example
+ * tags: manyToMany('tags', { key: 'tag_ids' })
+ */
+export function manyToMany(model, options) {
+  return new Relation('manyToMany', model, options);
+}
+
+
+// integrity
+// ---------
+/**
+ * Check foreign keys for record in collection, throwing an
+ * `IntegrityError` if related records don't exist.
+ *
+ * @param {object} db - Mock server database.
+ * @param {Collection} model - Collection containing record.
+ * @param {object} record - Record data to check.
+ */
+export function check(db, model, record) {
+  const errors = {};
+  _.each(model.relations, (relation) => {
+    if (relation.type === 'hasMany' || _.isNil(record[relation.key])) {
+      return;
+    }
+    const ids = relation.type === 'manyToMany' ? _.castArray(record[relation.key]) : [record[relation.key]];
+    if (_.some(ids, id => !(id in db[relation.model].data))) {
+      errors[relation.key] = ['Related record does not exist.'];
+    }
+  });
+  if (!_.isEmpty(errors)) {
+    throw new IntegrityError(`Foreign key constraint failed for model \`${model.name}\`.`, errors);
+  }
+}
+
+/**
+ * Verify relations declared for models in database, resolving
+ * default foreign keys and checking foreign keys for initial data.
+ *
+ * @param {object} db - Mock server database.
+ */
+export function verify(db) {
+  _.each(db, (model, name) => {
+    _.each(model.relations, (relation, field) => relation.resolve(name, field));
+  });
+  _.each(db, (model) => {
+    if (!_.isEmpty(model.relations)) {
+      _.each(model.data, record => check(db, model, record));
+    }
+  });
+}
+
+/**
+ * Find foreign keys in database referencing records in a collection,
+ * along with the action to take when referenced records are deleted
+ * (defaulting to `nullify`).
+ *
+ * @param {object} db - Mock server database.
+ * @param {string} name - Name of referenced collection.
+ */
+export function dependents(db, name) {
+  const result = [];
+  const add = (model, key, many, onDelete) => {
+    const existing = _.find(result, { model, key });
+    if (!existing) {
+      result.push({
+        model, key, many, onDelete,
+      });
+    } else if (_.isUndefined(existing.onDelete)) {
+      existing.onDelete = onDelete;
+    }
+  };
+  _.each(db, (model, other) => {
+    _.each(model.relations, (relation) => {
+      if (relation.type === 'hasMany' && other === name) {
+        add(relation.model, relation.key, false, relation.onDelete);
+      } else if (relation.type !== 'hasMany' && relation.model === name) {
+        add(other, relation.key, relation.type === 'manyToMany', relation.onDelete);
+      }
+    });
+  });
+  return result.map(item => Object.assign(item, { onDelete: item.onDelete || 'nullify' }));
+}
+
+/**
+ * Remove record from collection, applying `onDelete` actions
+ * for dependent records in other collections. Restricted deletes
+ * are checked before any records are modified.
+ *
+ * @param {object} db - Mock server database.
+ * @param {string} name - Name of collection.
+ * @param {string|number} id - Identifier for record to remove.
+ */
+export function remove(db, name, id) {
+  // check restricted deletes across cascades
+  const visit = (model, key, seen) => {
+    if (seen.has(`${model}:${key}`)) {
+      return;
+    }
+    seen.add(`${model}:${key}`);
+    dependents(db, model).forEach((item) => {
+      _.each(db[item.model].data, (record, other) => {
+        if (!references(record, item.key, item.many, key)) {
+          return;
+        }
+        if (item.onDelete === 'restrict') {
+          throw new IntegrityError(
+            `Cannot delete record \`${key}\` from model \`${model}\` (referenced by model \`${item.model}\`).`,
+            { [item.model]: ['Related records exist.'] },
+          );
+        } else if (item.onDelete === 'cascade') {
+          visit(item.model, other, seen);
+        }
+      });
+    });
+  };
+  visit(name, id, new Set());
+
+  // apply actions for dependent records
+  const apply = (model, key) => {
+    if (!(key in db[model].data)) {
+      return;
+    }
+    delete db[model].data[key];
+    dependents(db, model).forEach((item) => {
+      _.each(_.keys(db[item.model].data), (other) => {
+        const record = db[item.model].data[other];
+        if (!record || !references(record, item.key, item.many, key)) {
+          return;
+        }
+        if (item.onDelete === 'cascade') {
+          apply(item.model, other);
+        } else if (item.many) {
+          record[item.key] = record[item.key].filter(value => String(value) !== String(key));
+        } else {
+          record[item.key] = null;
+        }
+      });
+    });
+  };
+  apply(name, id);
+}
+
+
+// exports
+// -------
+export default {
+  Relation,
+  belongsTo,
+  hasMany,
+  manyToMany,
+};
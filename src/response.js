@@ -0,0 +1,84 @@
+/**
+ * Helpers for returning custom responses from endpoints.
+ */
+
+
+// imports
+// -------
+import _ from 'lodash';
+
+
+// config
+// ------
+/**
+ * Status text for common response status codes.
+ */
+export const STATUS_TEXT = {
+  200: 'OK',
+  201: 'Created',
+  202: 'Accepted',
+  204: 'No Content',
+  301: 'Moved Permanently',
+  302: 'Found',
+  304: 'Not Modified',
+  400: 'Bad Request',
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  404: 'Not Found',
+  405: 'Method Not Allowed',
+  409: 'Conflict',
+  422: 'Unprocessable Entity',
+  429: 'Too Many Requests',
+  500: 'Internal Server Error',
+  503: 'Service Unavailable',
+};
+
+
+// classes
+// -------
+/**
+ * Container for endpoint results that carry response
+ * metadata (i.e. status codes and headers) alongside
+ * the response payload.
+ */
+export class Response {
+  /**
+   * Create a new Response.
+   *
+   * @param {object} data - Response payload.
+   * @param {object} options - Response options (`status` and `headers`).
+   */
+  constructor(data, options) {
+    options = options || {};
+    this.data = data;
+    this.status = options.status;
+    this.headers = _.mapKeys(options.headers || {}, (value, key) => key.toLowerCase());
+  }
+}
+
+
+// helpers
+// -------
+/**
+ * Generate custom response for endpoint, overriding the default
+ * status code for the request method and adding response headers.
+ *
+ * @param {number} status - Status code for response.
+ * @param {object} data - Response payload.
+ * @param {object} headers - Response headers.
+ *
+ * @example
+ * respond(202, { status: 'pending' }, { Location: '/jobs/1' });
+ */
+export function respond(status, data, headers) {
+  return new Response(data, { status, headers });
+}
+
+
+// exports
+// -------
+export default {
+  STATUS_TEXT,
+  Response,
+  respond,
+};
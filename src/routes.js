@@ -0,0 +1,116 @@
+/**
+ * Helpers for matching request urls against api endpoints.
+ */
+
+
+// imports
+// -------
+import _ from 'lodash';
+
+
+// config
+// ------
+/**
+ * Request methods supported by mocked api.
+ */
+export const METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+
+// helpers
+// -------
+/**
+ * Cast identifier from url to number, if it consists
+ * only of digits.
+ *
+ * @param {string} id - Identifier to cast.
+ */
+export function cast(id) {
+  if (/^\d+$/.test(id)) {
+    id = Number(id);
+  }
+  return id;
+}
+
+/**
+ * Parse query string from url into object, accounting
+ * for repeated keys in the query.
+ *
+ * @param {string} search - Query string to parse (without leading `?`).
+ */
+export function parse(search) {
+  const query = {};
+  if (!search) {
+    return query;
+  }
+  search.split('&').filter(item => item).forEach((item) => {
+    const [key, value] = item.split('=').map(x => decodeURIComponent((x || '').replace(/\+/g, ' ')));
+    if (key in query) {
+      query[key] = _.flatten([query[key], value]);
+    } else {
+      query[key] = value;
+    }
+  });
+  return query;
+}
+
+/**
+ * Match url against endpoints defined for api, and return
+ * the associated abstract endpoint, parameters parsed from
+ * the url path, and query parameters. Endpoints can contain
+ * any number of named parameters (i.e. `/authors/:authorId/posts/:id`),
+ * and endpoints with fewer parameters take precedence when several
+ * endpoints match a url. The `id` for the request is taken from
+ * the `:id` parameter if present, or the last parameter in the url.
+ * Parameters consisting only of digits are cast to numbers, and other
+ * parameters (i.e. usernames like `1e3`) are left as strings.
+ *
+ * @param {string} url - Url to parse.
+ * @param {object} api - Api endpoint definitions.
+ * @param {object} params - Additional query parameters (i.e. from axios config).
+ */
+export function normalize(url, api, params) {
+  const [path, search] = url.split('?');
+  const query = Object.assign(parse(search), params || {});
+
+  // find matching endpoint
+  const segments = path.split('/');
+  const candidates = _.sortBy(Object.keys(api || {}), key => (key.match(/:\w+/g) || []).length);
+  const endpoint = _.find(candidates, (key) => {
+    const parts = key.split('/');
+    return parts.length === segments.length
+      && parts.every((part, index) => part.startsWith(':') || part === segments[index]);
+  });
+  if (_.isUndefined(endpoint)) {
+    return {
+      id: null, endpoint: path, params: {}, query,
+    };
+  }
+
+  // parse parameters
+  const names = [];
+  const values = {};
+  endpoint.split('/').forEach((part, index) => {
+    if (part.startsWith(':')) {
+      const name = part.slice(1);
+      names.push(name);
+      values[name] = cast(decodeURIComponent(segments[index]));
+    }
+  });
+  let id = null;
+  if (names.length) {
+    id = 'id' in values ? values.id : values[_.last(names)];
+  }
+  return {
+    id, endpoint, params: values, query,
+  };
+}
+
+
+// exports
+// -------
+export default {
+  METHODS,
+  cast,
+  parse,
+  normalize,
+};
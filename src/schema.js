@@ -0,0 +1,195 @@
+/**
+ * Schema definitions for validating model data.
+ */
+
+
+// imports
+// -------
+import _ from 'lodash';
+
+
+// config
+// ------
+export const TYPES = {
+  string: _.isString,
+  number: value => _.isNumber(value) && !_.isNaN(value),
+  integer: _.isInteger,
+  boolean: _.isBoolean,
+  object: _.isPlainObject,
+  array: _.isArray,
+  date: value => _.isDate(value) || (_.isString(value) && !_.isNaN(Date.parse(value))),
+};
+
+const CONSTRUCTORS = new Map([
+  [String, 'string'],
+  [Number, 'number'],
+  [Boolean, 'boolean'],
+  [Object, 'object'],
+  [Array, 'array'],
+  [Date, 'date'],
+]);
+
+
+// errors
+// ------
+/**
+ * Error thrown when data do not conform to a model schema. The
+ * `errors` property maps fields to lists of error messages.
+ */
+export class ValidationError extends Error {
+  constructor(message, errors, status) {
+    super(message);
+    this.status = status || 422;
+    this.errors = errors || {};
+  }
+}
+
+/**
+ * Error thrown when data violate a constraint across
+ * records in a model (i.e. unique fields).
+ */
+export class IntegrityError extends Error {
+  constructor(message, errors) {
+    super(message);
+    this.status = 409;
+    this.errors = errors || {};
+  }
+}
+
+
+// helpers
+// -------
+/**
+ * Normalize field specification into object with `type`
+ * and constraint properties. Fields can be specified via
+ * type names (i.e. `'string'`), type constructors (i.e. `String`),
+ * or objects with `type`, `required`, `default`, `enum`, `unique`,
+ * `min`, and `max` properties.
+ *
+ * @param {string|function|object} spec - Field specification.
+ */
+function field(spec) {
+  if (_.isString(spec) || CONSTRUCTORS.has(spec)) {
+    spec = { type: spec };
+  }
+  spec = Object.assign({}, spec);
+  if (CONSTRUCTORS.has(spec.type)) {
+    spec.type = CONSTRUCTORS.get(spec.type);
+  }
+  if (!_.isUndefined(spec.type) && !(spec.type in TYPES)) {
+    throw new Error(`Invalid schema type \`${spec.type}\`.`);
+  }
+  return spec;
+}
+
+/**
+ * Check single value against field specification, returning
+ * list of error messages for the value.
+ *
+ * @param {object} spec - Normalized field specification.
+ * @param {*} value - Value to check.
+ */
+function check(spec, value) {
+  if (_.isNil(value)) {
+    return spec.required ? ['This field is required.'] : [];
+  }
+  if (spec.type && !TYPES[spec.type](value)) {
+    return [`Expected type \`${spec.type}\`.`];
+  }
+  const errors = [];
+  if (spec.enum && !spec.enum.includes(value)) {
+    errors.push(`Must be one of: ${spec.enum.join(', ')}.`);
+  }
+  const size = _.isNumber(value) ? value : _.size(value);
+  const prefix = _.isNumber(value) ? 'Must be' : 'Must have length of';
+  if (!_.isUndefined(spec.min) && size < spec.min) {
+    errors.push(`${prefix} at least ${spec.min}.`);
+  }
+  if (!_.isUndefined(spec.max) && size > spec.max) {
+    errors.push(`${prefix} at most ${spec.max}.`);
+  }
+  return errors;
+}
+
+
+// classes
+// -------
+/**
+ * Schema for validating records in a model.
+ */
+export class Schema {
+  /**
+   * Create a new Schema.
+   *
+   * @param {object} fields - Mapping of field names to field specifications.
+   *
+   * @example
+   * new Schema({
+   *   title: { type: 'string', required: true, max: 100 },
+   *   status: { type: 'string', enum: ['draft', 'published'], default: 'draft' },
+   *   slug: { type: 'string', unique: true },
+   *   views: Number,
+   * });
+   */
+  constructor(fields) {
+    this.fields = _.mapValues(fields, field);
+  }
+
+  /**
+   * Fields with unique constraints.
+   */
+  get unique() {
+    return Object.keys(_.pickBy(this.fields, spec => spec.unique));
+  }
+
+  /**
+   * Return copy of data with defaults applied for missing fields.
+   *
+   * @param {object} data - Record data.
+   */
+  defaults(data) {
+    const result = Object.assign({}, data);
+    _.each(this.fields, (spec, key) => {
+      if (_.isUndefined(result[key]) && !_.isUndefined(spec.default)) {
+        result[key] = _.isFunction(spec.default) ? spec.default(result) : _.cloneDeep(spec.default);
+      }
+    });
+    return result;
+  }
+
+  /**
+   * Validate record data, throwing a `ValidationError` with
+   * field-level errors if the data are invalid. Computed (function)
+   * fields and fields not in the schema are not validated.
+   *
+   * @param {object} data - Record data.
+   */
+  validate(data) {
+    if (!_.isPlainObject(data)) {
+      throw new ValidationError('Request payload must be an object.', {}, 400);
+    }
+    const errors = {};
+    _.each(this.fields, (spec, key) => {
+      if (_.isFunction(data[key])) {
+        return;
+      }
+      const messages = check(spec, data[key]);
+      if (messages.length) {
+        errors[key] = messages;
+      }
+    });
+    if (!_.isEmpty(errors)) {
+      throw new ValidationError('Invalid data for model.', errors);
+    }
+    return data;
+  }
+}
+
+
+// exports
+// -------
+export default {
+  Schema,
+  ValidationError,
+  IntegrityError,
+};
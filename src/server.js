@@ -7,40 +7,268 @@
 // -------
 import _ from 'lodash';
 
-import { Singleton, Collection } from './models';
-import { NotFound, Missing } from './errors';
+import { Singleton, Collection, Definition } from './models';
+import { Response, STATUS_TEXT } from './response';
+import {
+  BadRequest, NotFound, Missing, createError, createNetworkError, createTimeoutError,
+} from './errors';
+import {
+  parseRequest, createResponse, createAbortError, globalScope,
+} from './fetch';
+import { fixtures, write } from './fixtures';
+import { Factory, random } from './factories';
+import { verify } from './relations';
+import { Auth } from './auth';
+import { openapi } from './openapi';
+import { har } from './har';
+import { Contract } from './contract';
+import { METHODS, cast, normalize } from './routes';
+import { serve } from './http';
 
 
 // helpers
 // -------
 /**
- * Parse :id parameter from url (making the assumption
- * that an id is numeric), and return the id and associated
- * abstract endpoint.
+ * Pattern for absolute urls (i.e. `https://example.com/api`).
+ */
+const ABSOLUTE = /^([a-z][a-z\d+\-.]*:)?\/\//i;
+
+/**
+ * Resolve url for request relative to a base url, so that
+ * it can be matched against endpoints defined for api. Base urls
+ * are stripped from urls starting with the base url (at a path
+ * segment boundary), and origins are stripped from absolute urls
+ * without a matching base url.
  *
- * @param {string} url - Url to parse.
+ * @param {string} url - Url for request.
+ * @param {string} base - Base url for request (i.e. `baseURL` from axios config).
  */
-function normalize(url) {
-  let id = null;
-  let endpoint = url;
-  const re = /\/(\d+)/;
-  const matches = url.match(re);
-  if (matches !== null) {
-    id = _.cast(matches[1]);
-    endpoint = url.replace(re, '/:id');
-  }
-  return { id, endpoint };
+function relative(url, base) {
+  url = url || '';
+  base = (base || '').replace(/\/+$/, '');
+  if (base && url.startsWith(base) && /^([/?#]|$)/.test(url.slice(base.length))) {
+    url = url.slice(base.length);
+  } else if (ABSOLUTE.test(url)) {
+    url = url.replace(/^([a-z][a-z\d+\-.]*:)?\/\/[^/?]*/i, '');
+  }
+  return `/${url.replace(/^\/+/, '')}`;
 }
 
-_.isError = data => _.isObject(data) && _.has(data, 'status') && _.has(data, 'message') && data.status >= 400;
+/**
+ * Find mounted server for request url, returning the mounted
+ * server along with the request url relative to the mount prefix.
+ * Prefixes are matched against the full request url (including
+ * any base url) and the path for the request.
+ *
+ * @param {array} mounts - Servers mounted under url prefixes.
+ * @param {string} url - Url for request.
+ * @param {string} base - Base url for request (i.e. `baseURL` from axios config).
+ */
+function route(mounts, url, base) {
+  url = url || '';
+  const full = ABSOLUTE.test(url) || !base
+    ? url
+    : `${base.replace(/\/+$/, '')}/${url.replace(/^\/+/, '')}`;
+  const candidates = _.uniq([full, relative(full), relative(url, base)]);
+  let target;
+  _.find(mounts, ({ prefix, server }) => {
+    const match = _.find(candidates, item => item === prefix
+      || (item.startsWith(prefix) && /^[/?]/.test(item.slice(prefix.length))));
+    if (!_.isUndefined(match)) {
+      target = { server, url: relative(match.slice(prefix.length)) };
+    }
+    return target;
+  });
+  return target;
+}
+
+/**
+ * Wrap implementation for mocked function with `jest.fn()`,
+ * when available, so that calls can be tracked in tests.
+ *
+ * @param {function} impl - Implementation for mocked function.
+ */
+function mock(impl) {
+  return typeof jest === 'undefined' ? impl : jest.fn(impl); // eslint-disable-line no-undef
+}
+
+/**
+ * Combine default headers for an axios instance with headers
+ * for a request, accounting for `common` and method-specific
+ * default headers.
+ *
+ * @param {object} defaults - Default headers for axios instance.
+ * @param {object} headers - Headers for request.
+ * @param {string} method - Request method.
+ */
+function combine(defaults, headers, method) {
+  defaults = defaults || {};
+  const methods = ['get', 'head', 'options', 'post', 'put', 'patch', 'delete'];
+  return Object.assign(
+    {},
+    defaults.common,
+    defaults[(method || 'get').toLowerCase()],
+    _.omit(defaults, ['common', ...methods]),
+    headers,
+  );
+}
+
+/**
+ * Check if record matches url parameters for a scope, where
+ * the scope maps url parameter names to record fields.
+ *
+ * @param {object} record - Record to check.
+ * @param {object} scope - Mapping of url parameters to record fields.
+ * @param {object} params - Url parameters for request.
+ */
+function scoped(record, scope, params) {
+  return _.every(scope, (key, param) => String(record[key]) === String(params[param]));
+}
+
+/**
+ * Filter, sort, and paginate collection records using
+ * query parameters. Parameters for record fields (or fields
+ * in the model schema) filter records by value, and other
+ * parameters (i.e. `include` or cache busters) are ignored.
+ * `_sort` orders records by comma-separated fields (prefixed
+ * with `-` for descending order), and `_page`/`_limit` paginate
+ * results (falling back to defaults for invalid values).
+ *
+ * @param {array} data - Records to query.
+ * @param {object} query - Query parameters for request.
+ * @param {array} fields - Fields defined by the model schema.
+ */
+function select(data, query, fields) {
+  // filter
+  const known = _.union(fields || [], _.flatMap(data, _.keys));
+  _.each(_.pick(query, known.filter(key => !key.startsWith('_'))), (value, key) => {
+    const values = _.flatten([value]).map(String);
+    data = data.filter(item => values.includes(String(item[key])));
+  });
+
+  // sort
+  if (query._sort) {
+    const fields = _.flatten([query._sort]).join(',').split(',').filter(x => x);
+    data = _.orderBy(
+      data,
+      fields.map(field => field.replace(/^-/, '')),
+      fields.map(field => (field.startsWith('-') ? 'desc' : 'asc')),
+    );
+  }
+
+  // paginate
+  const total = data.length;
+  if ('_page' in query || '_limit' in query) {
+    const number = (value, fallback) => (Number(value) >= 1 ? Math.floor(Number(value)) : fallback);
+    const limit = number(query._limit, 10);
+    const page = number(query._page, 1);
+    data = data.slice((page - 1) * limit, page * limit);
+  }
+  return { data, total };
+}
+
+/**
+ * Create request context passed as the last argument to request
+ * processors, with properties describing the request. The mock
+ * server, the `response` set by processors, and a case-insensitive
+ * `header(name)` lookup are added as non-enumerable properties, so
+ * they don't show up when contexts are printed or compared in tests.
+ *
+ * @param {Server} server - Mock server processing request.
+ * @param {object} props - Request properties.
+ */
+function context(server, props) {
+  const request = Object.assign({}, props, { body: props.data });
+  Object.defineProperties(request, {
+    server: { value: server },
+    response: { value: undefined, writable: true },
+    header: {
+      value: (name) => {
+        const key = _.findKey(request.headers, (value, item) => item.toLowerCase() === String(name).toLowerCase());
+        return _.isUndefined(key) ? undefined : request.headers[key];
+      },
+    },
+  });
+  return request;
+}
+
+/**
+ * Compose middleware into a single function that runs middleware
+ * in order around a handler, where each middleware is called with
+ * the request context and a `next()` function for running the rest
+ * of the chain (i.e. `async (ctx, next) => { await next(); }`).
+ *
+ * @param {array} middleware - Middleware functions to compose.
+ * @param {function} handler - Handler to run at the end of the chain.
+ */
+function compose(middleware, handler) {
+  return (ctx) => {
+    let index = -1;
+    const run = (position) => {
+      if (position <= index) {
+        return Promise.reject(new Error('`next()` called multiple times in middleware.'));
+      }
+      index = position;
+      const fn = position === middleware.length ? handler : middleware[position];
+      try {
+        return Promise.resolve(fn(ctx, () => run(position + 1)));
+      } catch (err) {
+        return Promise.reject(err);
+      }
+    };
+    return run(0);
+  };
+}
+
+/**
+ * Find foreign key on child collection referencing parent
+ * collection, using relations declared for the collections.
+ *
+ * @param {object} db - Mock server database.
+ * @param {string} child - Collection holding foreign key.
+ * @param {string} parent - Collection referenced by foreign key.
+ */
+function foreign(db, child, parent) {
+  const find = (owner, target, type) => _.find(_.get(db[owner], 'relations'), { model: target, type });
+  const relation = find(parent, child, 'hasMany') || find(child, parent, 'belongsTo');
+  return _.get(relation, 'key');
+}
 
-_.cast = (id) => {
-  if (!_.isNaN(Number(id))) {
-    id = Number(id);
+/**
+ * Resolve latency (in milliseconds) for request from latency
+ * configuration, which can be a fixed value, a `[min, max]` range,
+ * or a function returning a value for the request.
+ *
+ * @param {number|array|function} latency - Latency configuration.
+ * @param {object} request - Request to resolve latency for.
+ */
+function delay(latency, request) {
+  if (_.isFunction(latency)) {
+    latency = latency(request);
   }
-  return id;
+  if (_.isArray(latency)) {
+    latency = _.random(latency[0], latency[1]);
+  }
+  return Number(latency) || 0;
+}
+
+/**
+ * Status codes used for successful responses.
+ */
+const STATUS = {
+  GET: 200,
+  HEAD: 200,
+  POST: 201,
+  PUT: 200,
+  PATCH: 200,
+  DELETE: 204,
+  OPTIONS: 204,
 };
 
+_.isError = data => _.isObject(data) && _.has(data, 'status') && _.has(data, 'message') && data.status >= 400;
+
+_.cast = cast;
+
 
 // classes
 // -------
@@ -50,21 +278,68 @@ _.cast = (id) => {
  * overriding the `data()` and `api()` class methods.
  */
 export class Server {
-  constructor(name) {
+  /**
+   * Create a new mock server.
+   *
+   * @param {string} name - Name of server.
+   * @param {object} options - Server options.
+   * @param {number|array|function} options.latency - Latency (in milliseconds) for
+   *     responses, specified as a fixed value, a `[min, max]` range, or a
+   *     function returning a value for a request.
+   * @param {number} options.seed - Seed for random values generated by factories.
+   */
+  constructor(name, options) {
     this.name = name || 'mock-server';
+    this.options = Object.assign({ latency: 0, seed: 1 }, options);
 
     // reformat data spec
     this.db = {};
     _.each(this.data(), (val, key) => {
-      if (_.isArray(val)) {
-        this.db[key] = new Collection(key, val, this.constructor.index);
+      const { data, options } = val instanceof Definition ? val : new Definition(val);
+      if (_.isArray(data)) {
+        this.db[key] = new Collection(key, data, this.constructor.index, Object.assign({}, options, { db: this.db }));
       } else {
-        this.db[key] = new Singleton(key, val);
+        this.db[key] = new Singleton(key, data, options);
       }
     });
 
+    // check relations between models
+    _.each(this.db, (model, key) => {
+      _.each(model.relations, (relation, field) => {
+        if (!(this.db[relation.model] instanceof Collection)) {
+          throw new Error(`Relation \`${key}.${field}\` must reference a collection in mock server database.`);
+        }
+      });
+    });
+    verify(this.db);
+
     // instantiate api contract
     this._api = this.api();
+
+    // request history
+    this._history = [];
+
+    // injected faults
+    this._faults = [];
+
+    // mounted servers
+    this._mounts = [];
+
+    // database snapshots
+    this._snapshots = {};
+
+    // request middleware
+    this._middleware = [];
+
+    // authentication
+    this._auth = null;
+
+    // api contract checks
+    this._contract = null;
+
+    // record factories
+    this._factories = {};
+    this._random = random(this.options.seed);
   }
 
   /**
@@ -78,6 +353,69 @@ export class Server {
     return max + 1;
   }
 
+  /**
+   * Create mock server from an OpenAPI 3 document (or a JSON/YAML
+   * file containing one). Paths that look like CRUD routes are mocked
+   * with `collection()` (i.e. `/posts`), `model()` (i.e. `/posts/{id}`),
+   * and `singleton()` (i.e. `/profile`) processors, with nested routes
+   * (i.e. `/authors/{authorId}/posts`) scoped by their parent parameters.
+   * Collections and singletons are seeded from examples in the document,
+   * and other operations respond with their examples. Calling this
+   * method on a subclass uses the `data()` and `api()` for the subclass
+   * to override generated models and endpoints.
+   *
+   * @param {object|string} spec - OpenAPI document or path to JSON/YAML file.
+   * @param {object} options - Server options (along with a `name` for the server).
+   * @param {object} options.operations - Mapping of operation ids (or
+   *     `METHOD /path` strings) to request processors overriding
+   *     generated processors.
+   *
+   * @example
+   * const server = Server.fromOpenAPI(path.join(__dirname, 'openapi.yaml'), {
+   *   operations: {
+   *     publishPost: (data, id) => server.db.posts.update(id, { published: true }),
+   *   },
+   * });
+   */
+  static fromOpenAPI(spec, options) {
+    options = options || {};
+    const Generated = openapi(this, spec, options);
+    return new Generated(options.name, _.omit(options, ['name', 'operations']));
+  }
+
+  /**
+   * Create mock server from a HAR recording (i.e. exported from
+   * browser developer tools), with endpoints replaying the recorded
+   * status, headers, and body for each request. Recordings are matched
+   * by method, path, and query parameters, and repeated requests replay
+   * repeated recordings in order. With the `infer` option, identifiers
+   * that vary across recorded urls (i.e. `/items/1` and `/items/2`) are
+   * replaced with named parameters (i.e. `/items/:id`), and collections are
+   * seeded from recorded payloads for parameterized endpoints, so that those
+   * endpoints are mocked with `collection()` and `model()` processors. Calling
+   * this method on a subclass uses the `data()` and `api()` for the subclass to
+   * override generated models and endpoints.
+   *
+   * @param {object|string} input - HAR document or path to HAR file.
+   * @param {object} options - Server options (along with a `name` for the server).
+   * @param {boolean} options.infer - Infer parameterized endpoints and collections.
+   * @param {function|RegExp} options.filter - Filter for recorded entries (by default,
+   *     entries with JSON or empty responses are used).
+   * @param {string} options.base - Base url to strip from recorded urls (by default,
+   *     the origin for each url is stripped).
+   *
+   * @example
+   * const server = Server.fromHAR(path.join(__dirname, 'session.har'), {
+   *   base: 'https://example.com/api',
+   *   infer: true,
+   * });
+   */
+  static fromHAR(input, options) {
+    options = options || {};
+    const Generated = har(this, input, options);
+    return new Generated(options.name, _.omit(options, ['name', 'infer', 'filter', 'base']));
+  }
+
   /**
    * Get model data for specified id, accounting for relationship
    * definitions between models.
@@ -91,59 +429,65 @@ export class Server {
 
   /**
    * Generate default request processors for collection
-   * endpoints, overriding the `get` and `post` handlers.
+   * endpoints, overriding the `get`, `post`, `put`, `patch`, and
+   * `delete` handlers. Records are replaced for `put` requests and
+   * partially updated for `patch` requests. Query
+   * parameters for `get` requests can be used to filter (`?key=value`),
+   * sort (`?_sort=-key`), and paginate (`?_page=2&_limit=10`) records,
+   * with the total number of matching records returned in the
+   * `x-total-count` response header.
    *
    * @param {string} model - Database model.
    * @param {array} exclude - Model keys to exclude from response payload.
    * @param {string} relation - Relation to subset queries by.
-   * @param {string} key - Foreign key on relation linking model and relation.
+   * @param {string} key - Foreign key on model linking model and relation
+   *     (defaults to the key for relations declared between the models).
+   * @param {object} scope - Mapping of url parameters to model keys to subset queries by.
+   *
+   * @example
+   * this.collection({ model: 'comments', scope: { authorId: 'author_id', postId: 'post_id' } });
    */
   collection(options) {
     if (_.isString(options)) {
       options = { model: options };
     }
     const exclude = options.exclude || [];
-    const { model, relation, key } = options;
+    const scope = options.scope || {};
+    const { model, relation } = options;
+    const key = options.key || (relation && foreign(this.db, model, relation));
+    const save = operation => (data, id, request) => {
+      const params = _.get(request, 'params', {});
+      const process = (item) => {
+        if (id && relation && key) {
+          item[key] = id;
+        }
+        _.each(scope, (field, param) => {
+          item[field] = params[param];
+        });
+        if ('id' in item) {
+          return _.omit(this.db[model][operation](item.id, item), exclude);
+        } else { // eslint-disable-line
+          return _.omit(this.db[model].add(item), exclude);
+        }
+      };
+      if (_.isArray(data)) {
+        return data.map(item => process(item));
+      }
+      return process(data);
+    };
     return {
-      get: (id) => {
+      get: (id, request) => {
         let data = _.map(this.db[model].all(), item => _.omit(item, exclude));
         if (id && relation && key) {
           data = data.filter(item => item[key] === id);
         }
-        return data;
-      },
-      post: (data, id) => {
-        const process = (item) => {
-          if (id && relation && key) {
-            item[key] = id;
-          }
-          if ('id' in item) {
-            return _.omit(this.db[model].update(item.id, item), exclude);
-          } else { // eslint-disable-line
-            return _.omit(this.db[model].add(item), exclude);
-          }
-        };
-        if (_.isArray(data)) {
-          return data.map(item => process(item));
-        }
-        return process(data);
-      },
-      put: (data, id) => {
-        const process = (item) => {
-          if (id && relation && key) {
-            item[key] = id;
-          }
-          if ('id' in item) {
-            return _.omit(this.db[model].update(item.id, item), exclude);
-          } else { // eslint-disable-line
-            return _.omit(this.db[model].add(item), exclude);
-          }
-        };
-        if (_.isArray(data)) {
-          return data.map(item => process(item));
-        }
-        return process(data);
+        data = data.filter(item => scoped(item, scope, _.get(request, 'params', {})));
+        const result = select(data, _.get(request, 'query', {}), _.keys(_.get(this.db[model], 'schema.fields')));
+        return new Response(result.data, { headers: { 'x-total-count': String(result.total) } });
       },
+      post: save('update'),
+      put: save('replace'),
+      patch: save('update'),
       delete: (data, id) => {
         const process = (item) => {
           if ('id' in item) {
@@ -162,22 +506,51 @@ export class Server {
 
   /**
    * Generate default request processors for model
-   * endpoints, overriding the `get`, `put`, and `delete`
-   * handlers.
+   * endpoints, overriding the `get`, `post`, `put`, `patch`,
+   * and `delete` handlers. Records are replaced for `put`
+   * requests and partially updated for `patch` requests.
    *
    * @param {string} model - Database model.
    * @param {array} exclude - Model keys to exclude from response payload.
    * @param {string} relation - Relation to subset queries by.
-   * @param {string} key - Foreign key on model linking model and relation.
+   * @param {string} key - Foreign key on relation linking model and relation
+   *     (defaults to the key for relations declared between the models).
+   * @param {object} scope - Mapping of url parameters to model keys that records must match.
+   *
+   * @example
+   * this.model({ model: 'posts', scope: { authorId: 'author_id' } });
    */
   model(options) {
     if (_.isString(options)) {
       options = { model: options };
     }
     const exclude = options.exclude || [];
-    const { model, relation, key } = options;
+    const scope = options.scope || {};
+    const { model, relation } = options;
+    const key = options.key || (relation && foreign(this.db, relation, model));
+    const exists = (id, request) => id in this.db[model].data
+      && scoped(this.db[model].get(id), scope, _.get(request, 'params', {}));
+    const save = operation => (data, id, request) => {
+      // with relation
+      if (id && relation && key) {
+        if (!(id in this.db[relation].data)) {
+          return undefined;
+        }
+        if (!(data.id in this.db[model].data)) {
+          return undefined;
+        }
+        this.db[relation].data[id][key] = data.id;
+        id = data.id;
+      }
+
+      // without relation
+      if (!exists(id, request)) {
+        return undefined;
+      }
+      return _.omit(this.db[model][operation](id, data), exclude);
+    };
     return {
-      get: (id) => {
+      get: (id, request) => {
         // reformat id for relation
         if (id && relation && key) {
           if (!(id in this.db[relation].data)) {
@@ -187,31 +560,13 @@ export class Server {
         }
 
         // process
-        if (!(id in this.db[model].data)) {
+        if (!exists(id, request)) {
           return undefined;
         }
         return _.omit(this.db[model].get(id), exclude);
       },
-      put: (data, id) => {
-
-        // with relation
-        if (id && relation && key) {
-          if (!(id in this.db[relation].data)) {
-            return undefined;
-          }
-          if (!(data.id in this.db[model].data)) {
-            return undefined;
-          }
-          this.db[relation].data[id][key] = data.id;
-          id = data.id;
-        }
-
-        // without relation
-        if (!(id in this.db[model].data)) {
-          return undefined;
-        }
-        return _.omit(this.db[model].update(id, data), exclude);
-      },
+      put: save('replace'),
+      patch: save('update'),
       post: (data, id) => {
         if (!(id && relation && key && _.isPlainObject(data))) {
           return undefined;
@@ -225,7 +580,7 @@ export class Server {
         this.db[relation].update(id, { [key]: res.id });
         return res;
       },
-      delete: (id) => {
+      delete: (id, request) => {
         // with relation
         if (id && relation && key) {
           this.db[relation].update(id, { [key]: null });
@@ -233,6 +588,9 @@ export class Server {
         }
 
         // without relation
+        if (!_.isEmpty(scope) && !exists(id, request)) {
+          throw Missing(id);
+        }
         return this.db[model].remove(id);
       },
     };
@@ -240,8 +598,8 @@ export class Server {
 
   /**
    * Generate default request processors for singleton model
-   * endpoints, overridding the `get`, `put`, and `delete`
-   * handlers.
+   * endpoints, overridding the `get`, `post`, `put`, `patch`,
+   * and `delete` handlers.
    *
    * @param {object} model - Database model.
    * @param {array} exclude - Model keys to exclude from response payload.
@@ -255,7 +613,8 @@ export class Server {
     return {
       get: () => _.omit(this.db[model].json(), exclude),
       post: data => _.omit(this.db[model].update(data), exclude),
-      put: data => _.omit(this.db[model].update(data), exclude),
+      put: data => _.omit(this.db[model].replace(data), exclude),
+      patch: data => _.omit(this.db[model].update(data), exclude),
       delete: () => this.db[model].reset(),
     };
   }
@@ -264,15 +623,24 @@ export class Server {
    * Method for defining internal database that will
    * be used throughout requests. This method allows
    * users to configure an initial `state` for the database
-   * and all internal data models.
+   * and all internal data models. Models can be declared with
+   * options (i.e. schemas) via the `define()` helper.
    */
   data() {
     return {};
   }
 
   /**
-   * Method returning server endpoints with get/post/put/delete
-   * request processing callables.
+   * Method returning server endpoints with get/post/put/patch/delete
+   * request processing callables. Callables receive the request payload
+   * (for `post`, `put`, and `patch` requests), the `id` parameter from the url,
+   * and a request context with the `method`, `url`, `endpoint`, `params`, `query`,
+   * `headers`, `body`, and `config` for the request (along with the `server`
+   * processing the request and a case-insensitive `header(name)` lookup).
+   * Responses for `HEAD` and `OPTIONS` requests are derived from the
+   * processors defined for each endpoint. Callables can return `respond(status, data, headers)` to customize
+   * the status code and headers for a response, and endpoints can
+   * include a `latency` property to override server latency options.
    */
   api() {
     return {};
@@ -280,29 +648,122 @@ export class Server {
 
   /**
    * Reset internal database for server mock to original state.
+   * Resetting the full database also clears request history
+   * and injected faults, resets factory sequences and random
+   * values, clears authentication sessions, and resets all
+   * mounted servers.
    *
    * @param {object} model - Database model to reset.
    */
   reset(model) {
-    let obj = new this.constructor();
-
     // reset everything
     if (model === undefined) {
-      this.db = obj.db;
+      _.each(this.db, item => item.reset());
+      this._history = [];
+      this._faults = [];
+      this._random = random(this.options.seed);
+      if (this._auth) {
+        this._auth.reset();
+      }
+      _.each(this._factories, (item) => {
+        item.sequence = 0;
+      });
+      this._mounts.forEach(({ server }) => server.reset());
 
     // reset specific model
-    } else if (model in obj.db) {
-      this.db[model] = obj.db[model];
+    } else if (model in this.db) {
+      this.db[model].reset();
 
     // handle invalid input
     } else {
       throw new Error(`Specified model \`${model}\` not in mock server database.`);
     }
-    obj = null;
   }
 
   /**
-   * Dump current state of database into json object.
+   * Take a deep copy of the current database state (including
+   * databases for mounted servers). Named snapshots are stored
+   * on the server and can be restored via `restore(name)`, so that
+   * expensive fixtures can be built once and restored between tests.
+   *
+   * @param {string} name - Name to store snapshot under.
+   *
+   * @example
+   * beforeAll(async () => {
+   *   await buildFixtures();
+   *   server.snapshot('fixtures');
+   * });
+   */
+  snapshot(name) {
+    const state = {
+      db: _.mapValues(this.db, item => item.snapshot()),
+      mounts: _.fromPairs(this._mounts.map(({ prefix, server }) => [prefix, server.snapshot()])),
+    };
+    if (!_.isUndefined(name)) {
+      this._snapshots[name] = state;
+    }
+    return state;
+  }
+
+  /**
+   * Restore database to state from a snapshot, specified by
+   * name or as the state returned by `snapshot()`. Request history
+   * and injected faults are not affected by restoring snapshots.
+   *
+   * @param {string|object} name - Name of snapshot (or snapshot state) to restore.
+   *
+   * @example
+   * beforeEach(() => {
+   *   server.restore('fixtures');
+   * });
+   */
+  restore(name) {
+    const state = _.isPlainObject(name) ? name : this._snapshots[name];
+    if (_.isUndefined(state)) {
+      throw new Error(`Specified snapshot \`${String(name)}\` not found for mock server.`);
+    }
+    _.each(state.db, (item, key) => this.db[key].restore(item));
+    this._mounts.forEach(({ prefix, server }) => {
+      if (prefix in state.mounts) {
+        server.restore(state.mounts[prefix]);
+      }
+    });
+  }
+
+  /**
+   * Run function against database, rolling back any changes
+   * to the database if the function throws (or returns a promise
+   * that rejects). Returns the result of the function.
+   *
+   * @param {function} fn - Function to run.
+   *
+   * @example
+   * await server.transaction(async () => {
+   *   await axios.post('/tags', { name: 'foo', slug: 'foo' });
+   *   await axios.post('/tags', { name: 'bar', slug: 'foo' }); // rejects, rolling back first tag
+   * });
+   */
+  transaction(fn) {
+    const state = this.snapshot();
+    const rollback = (error) => {
+      this.restore(state);
+      throw error;
+    };
+    let result;
+    try {
+      result = fn(this);
+    } catch (error) {
+      rollback(error);
+    }
+    if (result && _.isFunction(result.then)) {
+      return result.then(value => value, rollback);
+    }
+    return result;
+  }
+
+  /**
+   * Dump current state of database into json object. Databases
+   * for mounted servers are nested under their mount prefix.
    */
   dump() {
     const result = {};
@@ -310,139 +771,811 @@ export class Server {
       result[key] = this.db[key].json();
       return result[key];
     });
+    this._mounts.forEach(({ prefix, server }) => {
+      result[prefix] = server.dump();
+    });
     return result;
   }
 
   /**
-   * Initialize server mock and create fake callables for
-   * all axios requests. This method should be called before tests
-   * run or at the beginning of a test session.
+   * Define factory for generating records in a collection. Factory
+   * functions are called with helpers for generating data, including
+   * the `sequence` number for the record, a seeded `random` value generator,
+   * and `create()`/`associate()` helpers for creating related records
+   * in other collections (returning the record or its id, respectively).
+   *
+   * @param {string} model - Collection to define factory for.
+   * @param {function} build - Function returning data for a new record.
+   * @param {object} options - Factory options.
+   * @param {function} options.after - Callback run with each created
+   *     record and factory helpers (i.e. for creating child records).
+   *
+   * @example
+   * server.factory('posts', ({ sequence, random, associate }) => ({
+   *   title: `Post ${sequence}`,
+   *   views: random.int(0, 100),
+   *   author_id: associate('authors'),
+   * }));
    */
-  init(axios) {
-    let baseUrl = '';
+  factory(model, build, options) {
+    if (!(this.db[model] instanceof Collection)) {
+      throw new Error(`Factories can only be defined for collections in mock server database (got \`${model}\`).`);
+    }
+    this._factories[model] = new Factory(model, build, options);
+  }
 
-    // GET
-    axios.get.mockImplementation((url) => {
-      const { id, endpoint } = normalize(baseUrl + url);
-      return new Promise((resolve, reject) => {
-        // handle invalid urls
-        if (!(endpoint in this._api) || this._api[endpoint] === null) {
-          reject(NotFound(url, 'GET'));
-        }
+  /**
+   * Create record in collection using the factory defined
+   * for the collection (if any), with overrides applied on
+   * top of the generated data.
+   *
+   * @param {string} model - Collection to create record in.
+   * @param {object} overrides - Data overriding generated data.
+   */
+  create(model, overrides) {
+    if (!(this.db[model] instanceof Collection)) {
+      throw new Error(`Specified model \`${model}\` is not a collection in mock server database.`);
+    }
+    const factory = this._factories[model];
+    const helpers = {
+      random: this._random,
+      create: (other, data) => this.create(other, data),
+      associate: (other, data) => this.create(other, data).id,
+      seed: (other, count, data) => this.seed(other, count, data),
+    };
+    const data = factory ? factory.next(helpers, overrides) : Object.assign({}, overrides);
+    const record = this.db[model].add(data);
+    if (factory && _.isFunction(factory.options.after)) {
+      factory.options.after(record, helpers);
+      return this.db[model].get(record.id);
+    }
+    return record;
+  }
 
-        // handle missing server methods
-        const method = this._api[endpoint].get;
-        if (method === undefined) {
-          reject(NotFound(url, 'GET'));
-        }
+  /**
+   * Seed collection with records generated by the factory for
+   * the collection. Overrides can be specified as an object or a
+   * function returning overrides for the index of each record.
+   *
+   * @param {string} model - Collection to seed.
+   * @param {number} count - Number of records to create.
+   * @param {object|function} overrides - Data overriding generated data.
+   *
+   * @example
+   * server.seed('posts', 500, { published: true });
+   */
+  seed(model, count, overrides) {
+    return _.times(count, index => this.create(model, _.isFunction(overrides) ? overrides(index) : overrides));
+  }
 
-        // operate
-        const result = method(id);
-        if (_.isUndefined(result)) {
-          reject(Missing(id));
+  /**
+   * Load data for models from a directory of JSON or YAML
+   * fixture files (one file per model), replacing the current
+   * data for existing models and adding new models to the database.
+   * Loaded fixtures become the initial state for models, so resetting
+   * the server returns models to the loaded data (rather than `data()`).
+   * Computed (function) fields defined for existing models are kept,
+   * and values for them or for declared relations in fixtures are ignored.
+   *
+   * @param {string} dir - Directory containing fixture files.
+   *
+   * @example
+   * server.load(path.join(__dirname, 'fixtures'));
+   */
+  load(dir) {
+    _.each(fixtures(dir), (data, key) => {
+      const current = this.db[key];
+      if (current && _.isArray(data) !== (current instanceof Collection)) {
+        throw new Error(`Fixture data for model \`${key}\` does not match model type.`);
+      }
+
+      // keep computed fields for existing models
+      if (current) {
+        const computed = _.pickBy(_.isArray(data) ? _.values(current.data)[0] : current.data, _.isFunction);
+        const prepare = item => Object.assign(_.omit(item, _.keys(current.relations)), computed);
+        data = _.isArray(data) ? data.map(prepare) : prepare(data);
+      }
+
+      const options = current ? { schema: current.schema, relations: current.relations } : {};
+      const model = _.isArray(data)
+        ? new Collection(key, data, this.constructor.index, Object.assign(options, { db: this.db }))
+        : new Singleton(key, data, options);
+      if (_.isUndefined(current)) {
+        this.db[key] = model;
+      } else {
+        current.restore(model.snapshot());
+        Object.assign(current.backup, current.snapshot());
+      }
+    });
+  }
+
+  /**
+   * Write current state of database to a directory of fixture
+   * files (one file per model), so that the database can be inspected
+   * (i.e. after failing tests) or loaded later via `load()`. Only stored
+   * data are written, without computed (function) or relation fields.
+   *
+   * @param {string} dir - Directory to write fixture files to.
+   * @param {string} format - File format (`json` or `yaml`).
+   *
+   * @example
+   * afterAll(() => {
+   *   server.save(path.join(__dirname, 'dumps'));
+   * });
+   */
+  save(dir, format) {
+    return write(dir, _.mapValues(this.db, item => item.stored()), format);
+  }
+
+  /**
+   * Mount another server under a host or path prefix, so that
+   * requests with urls matching the prefix are dispatched to the
+   * mounted server (with the prefix stripped from the url). Servers
+   * can be mounted as instances or as `Server` classes, and more
+   * specific prefixes take precedence over less specific ones.
+   *
+   * @param {string} prefix - Host (i.e. `https://auth.example.com`) or
+   *     path (i.e. `/api/v2`) prefix to mount server under.
+   * @param {Server|function} server - Server instance or class to mount.
+   *
+   * @example
+   * server.mount('https://auth.example.com', new Auth());
+   * server.mount('/api/v2', Billing);
+   */
+  mount(prefix, server) {
+    prefix = String(prefix || '').replace(/\/+$/, '');
+    if (!prefix) {
+      throw new Error('Mount prefix must be a non-empty host or path.');
+    }
+    if (!ABSOLUTE.test(prefix)) {
+      prefix = `/${prefix.replace(/^\/+/, '')}`;
+    }
+    server = _.isFunction(server) ? new server() : server;
+    if (!(server instanceof Server)) {
+      throw new Error(`Object mounted under \`${prefix}\` must be a mock \`Server\`.`);
+    }
+    this._mounts = _.orderBy(
+      this._mounts.filter(item => item.prefix !== prefix).concat([{ prefix, server }]),
+      item => item.prefix.length,
+      'desc',
+    );
+    return server;
+  }
+
+  /**
+   * Return request methods allowed for an endpoint, based
+   * on the request processors defined for it in `api()`.
+   *
+   * @param {string} endpoint - Abstract endpoint to inspect.
+   */
+  allowed(endpoint) {
+    const handlers = this._api[endpoint] || {};
+    const methods = METHODS.filter(method => _.isFunction(handlers[method.toLowerCase()]));
+    if (methods.includes('GET')) {
+      methods.splice(1, 0, 'HEAD');
+    }
+    methods.push('OPTIONS');
+    return methods;
+  }
+
+  /**
+   * Process request against mocked api, returning a promise
+   * that resolves with the response or rejects with error data.
+   * Requests with urls matching a mount prefix are dispatched
+   * to the mounted server.
+   *
+   * @param {string} method - Request method.
+   * @param {string} url - Url to request.
+   * @param {object} data - Request payload.
+   * @param {object} config - Request config (i.e. axios config).
+   */
+  dispatch(method, url, data, config) {
+    // delegate requests for mounted servers
+    const target = route(this._mounts, url, _.get(config, 'baseURL'));
+    if (target) {
+      const promise = target.server.dispatch(method, target.url, data, config);
+      this._history.push(_.last(target.server._history));
+      return promise;
+    }
+
+    // parse request within promise, so that errors reject instead of throwing
+    return new Promise((resolve) => {
+      method = method.toUpperCase();
+      url = relative(url, _.get(config, 'baseURL'));
+
+      // reject urls with malformed percent-encoding as bad requests
+      let parsed;
+      let malformed;
+      try {
+        parsed = normalize(url, this._api, _.get(config, 'params'));
+      } catch (err) {
+        if (!(err instanceof URIError)) {
+          throw err;
         }
-        resolve({
-          status: 200,
-          data: result,
-        });
+        malformed = BadRequest(`Malformed url \`${url}\`.`);
+        parsed = {
+          id: null, endpoint: url.split('?')[0], params: {}, query: {},
+        };
+      }
+      const {
+        id, endpoint, params, query,
+      } = parsed;
+      config = Object.assign({}, config, { method: method.toLowerCase(), url, data });
+      const headers = config.headers || {};
+      const request = context(this, {
+        method, url, endpoint, id, params, query, headers, data, config,
       });
-    });
+      const reply = (status, payload, meta) => ({
+        status,
+        statusText: STATUS_TEXT[status] || '',
+        data: payload,
+        headers: meta || {},
+        config,
+        request,
+      });
+
+      // record request in server history
+      const record = {
+        method,
+        url,
+        endpoint,
+        id,
+        params,
+        query,
+        data: _.cloneDeep(data),
+        headers,
+        status: undefined,
+        response: undefined,
+        error: undefined,
+        timestamp: Date.now(),
+        duration: undefined,
+        latency: 0,
+        fault: undefined,
+      };
+      this._history.push(record);
+      const complete = (result) => {
+        record.status = result.status;
+        record.duration = Date.now() - record.timestamp;
+      };
+
+      // simulate latency for request
+      const handlers = this._api[endpoint];
+      const latency = delay(_.get(handlers, 'latency', this.options.latency), request);
+      record.latency = latency;
+
+      // find injected fault for request
+      const path = url.split('?')[0];
+      const fault = _.find(this._faults, item => item.times > 0
+        && [undefined, '*', path, endpoint].includes(item.endpoint)
+        && [undefined, method].includes(item.method)
+        && (item.rate >= 1 || this._random.number() < item.rate));
+      if (fault) {
+        fault.times -= 1;
+        record.fault = fault.type;
+      }
 
-    // POST
-    axios.post.mockImplementation((url, data) => {
-      const { id, endpoint } = normalize(baseUrl + url);
-      return new Promise((resolve, reject) => {
+      // process request with handlers for endpoint
+      const handle = () => {
         // handle invalid urls
-        if (!(endpoint in this._api) || this._api[endpoint] === null) {
-          reject(NotFound(url, 'POST'));
+        if (_.isNil(handlers)) {
+          throw NotFound(url, method);
+        }
+
+        // handle options requests
+        const allow = this.allowed(endpoint).join(', ');
+        if (method === 'OPTIONS' && !_.isFunction(handlers.options)) {
+          request.response = { status: 204, data: undefined, headers: { allow } };
+          return undefined;
         }
 
         // handle missing server methods
-        const method = this._api[endpoint].post;
-        if (method === undefined) {
-          reject(NotFound(url, 'POST'));
+        const processor = method === 'HEAD' ? handlers.get : handlers[method.toLowerCase()];
+        if (!_.isFunction(processor)) {
+          throw NotFound(url, method);
         }
 
+        // set response from processor result
+        const finish = (result) => {
+          if (_.isUndefined(result) && ['GET', 'HEAD'].includes(method)) {
+            throw Missing(id);
+          }
+          const response = result instanceof Response ? result : new Response(result);
+          if (method === 'HEAD') {
+            response.data = undefined;
+            response.headers.allow = allow;
+          } else if (method === 'OPTIONS') {
+            response.headers.allow = allow;
+          }
+          request.response = {
+            status: response.status || STATUS[method],
+            data: response.data,
+            headers: response.headers,
+          };
+        };
+
         // operate
-        resolve({
-          status: 201,
-          data: method(data, id),
-        });
-      });
-    });
+        const payload = request.body;
+        const result = _.isUndefined(payload) && !['POST', 'PUT', 'PATCH'].includes(method)
+          ? processor(id, request)
+          : processor(payload, id, request);
+        if (result && _.isFunction(result.then)) {
+          return result.then(finish);
+        }
+        finish(result);
+        return undefined;
+      };
 
-    // PUT
-    axios.put.mockImplementation((url, data) => {
-      const { id, endpoint } = normalize(baseUrl + url);
-      return new Promise((resolve, reject) => {
-        // handle invalid urls
-        if (!(endpoint in this._api) || this._api[endpoint] === null) {
-          reject(NotFound(url, 'PUT'));
+      const process = () => {
+        if (malformed) {
+          throw malformed;
         }
 
-        // handle missing server methods
-        const method = this._api[endpoint].put;
-        if (method === undefined) {
-          reject(NotFound(url, 'PUT'));
+        // check request against api contract before processing
+        if (this._contract) {
+          this._contract.request(request);
         }
 
-        // operate
-        resolve({
-          status: 200,
-          data: method(data, id),
+        // handle injected faults
+        if (fault && fault.type === 'network') {
+          throw createNetworkError(config, request);
+        } else if (fault && fault.type === 'status') {
+          const status = fault.status || 500;
+          const message = STATUS_TEXT[status] || `Request failed with status code ${status}`;
+          throw Object.assign({ status, message }, _.pick(fault, ['data', 'headers']));
+        }
+
+        // run middleware and handlers
+        const middleware = this._middleware.filter(item => [undefined, '*', path, endpoint].includes(item.route)
+          || path.startsWith(`${item.route}/`)).map(item => item.fn);
+        return compose(middleware, handle)(request).then(() => {
+          if (_.isNil(request.response)) {
+            throw new Error(`No response set for request \`${method} ${url}\` (middleware must call \`next()\` or set \`ctx.response\`).`);
+          }
+          const { status, data: payload, headers: meta } = request.response;
+          if (status >= 400) {
+            throw {
+              status,
+              message: _.get(payload, 'message', `Request failed with status code ${status}`),
+              data: payload,
+              headers: meta,
+            };
+          }
+          return reply(status, payload, meta);
         });
-      });
+      };
+
+      // simulate timeouts for requests
+      const timeout = Number(config.timeout) || 0;
+      let promise;
+      if (_.get(fault, 'type') === 'timeout' || (timeout > 0 && latency > timeout)) {
+        promise = new Promise((resolve, reject) => {
+          const expire = () => reject(createTimeoutError(config, request));
+          if (timeout > 0) {
+            setTimeout(expire, timeout);
+          } else {
+            expire();
+          }
+        });
+      } else if (latency > 0) {
+        promise = new Promise(resolve => setTimeout(resolve, latency)).then(process);
+      } else {
+        promise = new Promise(resolve => resolve(process()));
+      }
+
+      // check responses against api contract
+      const check = (response) => {
+        if (this._contract) {
+          this._contract.response(request, response);
+        }
+      };
+
+      resolve(promise.then((response) => {
+        record.response = response;
+        complete(response);
+        check(response);
+        return response;
+      }, (error) => {
+        if (_.isError(error)) {
+          error = createError(error, config, request);
+        }
+        record.error = error;
+        complete(error);
+        if (error.response) {
+          check(error.response);
+        }
+        throw error;
+      }));
     });
+  }
 
-    // DELETE
-    axios.delete.mockImplementation((url, data) => {
-      const { id, endpoint } = normalize(baseUrl + url);
-      return new Promise((resolve, reject) => {
-        // handle invalid urls
-        if (!(endpoint in this._api) || this._api[endpoint] === null) {
-          reject(NotFound(url, 'DELETE'));
+  /**
+   * Add middleware for processing requests, optionally scoped to
+   * a route (an abstract endpoint, a url, or a url prefix). Middleware
+   * are called in order with the request context and a `next()` function
+   * for running the rest of the chain (Koa-style), and can modify the request
+   * before it's processed (i.e. `ctx.body`), modify `ctx.response` (with
+   * `status`, `data`, and `headers`) after `next()` resolves, short-circuit
+   * requests by setting `ctx.response` without calling `next()`, or reject
+   * requests by throwing errors (i.e. `throw Unauthorized()`).
+   *
+   * @param {string} route - Route to scope middleware to (optional).
+   * @param {function} fn - Middleware function.
+   *
+   * @example
+   * server.use(async (ctx, next) => {
+   *   if (!ctx.header('Authorization')) {
+   *     throw Unauthorized();
+   *   }
+   *   await next();
+   *   ctx.response.data = { data: ctx.response.data };
+   * });
+   */
+  use(route, fn) {
+    if (_.isFunction(route)) {
+      fn = route;
+      route = undefined;
+    }
+    if (!_.isFunction(fn)) {
+      throw new Error('Middleware must be a function.');
+    }
+    if (_.isString(route) && route !== '*') {
+      route = `/${route.replace(/^\/+|\/+$/g, '')}`;
+    }
+    this._middleware.push({ route, fn });
+  }
+
+  /**
+   * Configure authentication for the server, adding endpoints for
+   * logging in (`POST /auth/login`), logging out (`POST /auth/logout`),
+   * refreshing tokens (`POST /auth/refresh`), and fetching the authenticated
+   * user (`GET /auth/user`), along with middleware that checks `Authorization`
+   * headers for endpoints with an `auth` property in `api()`. Endpoints can
+   * require authentication (`auth: true`) or specific roles for the user
+   * (i.e. `auth: 'admin'` or `auth: ['admin', 'editor']`). Requests with missing,
+   * invalid, or expired tokens are rejected with `Unauthorized` errors, and
+   * requests from users without a required role are rejected with `Forbidden`
+   * errors. Endpoints for logging in and refreshing tokens never require
+   * authentication, and an error is thrown if `api()` already defines any of
+   * the authentication endpoints (use the `routes` option to move them).
+   * Calling this method without options returns the configured
+   * authentication object (i.e. for issuing or expiring tokens in tests).
+   *
+   * @param {object} options - Authentication options.
+   * @param {string} options.model - Collection containing users (defaults to `users`).
+   * @param {array} options.users - Users to create the collection with (if it doesn't exist).
+   * @param {string} options.username - Field for usernames (defaults to `username`).
+   * @param {string} options.password - Field for passwords (defaults to `password`).
+   * @param {string} options.role - Field for user roles (defaults to `role`).
+   * @param {number} options.expires - Lifetime for access tokens (in milliseconds).
+   * @param {number} options.refresh - Lifetime for refresh tokens (in milliseconds).
+   * @param {boolean} options.required - Require authentication for all endpoints
+   *     without an `auth` property.
+   * @param {object} options.routes - Urls for `login`, `logout`, `refresh`, and `user` endpoints.
+   *
+   * @example
+   * server.auth({
+   *   users: [{ username: 'admin', password: 'secret', role: 'admin' }],
+   *   expires: 5 * 60 * 1000,
+   * });
+   */
+  auth(options) {
+    if (_.isUndefined(options) && this._auth) {
+      return this._auth;
+    }
+    if (this._auth) {
+      throw new Error('Authentication is already configured for mock server.');
+    }
+    options = options || {};
+    const auth = new Auth(this, options);
+    const conflicts = _.intersection(_.keys(this._api), _.keys(auth.api()));
+    if (conflicts.length) {
+      throw new Error(`Authentication endpoints conflict with endpoints in \`api()\`: ${conflicts.join(', ')}.`);
+    }
+    const model = auth.options.model;
+    if (!_.isUndefined(options.users) && !(model in this.db)) {
+      this.db[model] = new Collection(model, options.users, this.constructor.index, { db: this.db });
+    }
+    if (!(this.db[model] instanceof Collection)) {
+      throw new Error(`Model \`${model}\` for authentication must be a collection in mock server database.`);
+    }
+    this._auth = auth;
+    Object.assign(this._api, auth.api());
+    this.use(this._auth.middleware());
+    return this._auth;
+  }
+
+  /**
+   * Check requests and responses processed by the server against
+   * an OpenAPI 3 document (or a JSON/YAML file containing one). Request
+   * bodies, path and query parameters, response statuses, and response
+   * bodies are validated against the operation documented for each
+   * request, and violations (i.e. undocumented fields, wrong statuses, or
+   * missing required properties) reject requests with a `ContractError`.
+   * Calling this method without arguments returns the current contract
+   * (i.e. for inspecting violations), and calling it with `null` disables
+   * contract checks.
+   *
+   * @param {object|string} spec - OpenAPI document or path to JSON/YAML file.
+   * @param {object} options - Contract options.
+   * @param {boolean} options.report - Record violations (via `contract().violations`)
+   *     instead of rejecting requests.
+   * @param {boolean} options.strict - Report fields, query parameters, and payloads
+   *     that aren't documented (defaults to `true`).
+   *
+   * @example
+   * server.contract(path.join(__dirname, 'openapi.yaml'), { report: true });
+   */
+  contract(spec, options) {
+    if (_.isUndefined(spec)) {
+      return this._contract;
+    }
+    this._contract = _.isNull(spec) ? null : new Contract(spec, options);
+    return this._contract;
+  }
+
+  /**
+   * Query history of requests processed by the server. Requests
+   * can be filtered by any recorded property (i.e. `method`, `url`,
+   * `endpoint`, `id`, or `status`) or by a predicate function.
+   *
+   * @param {object|function} filter - Properties or predicate to filter requests by.
+   *
+   * @example
+   * server.requests({ method: 'POST', endpoint: '/posts/:id' });
+   */
+  requests(filter) {
+    if (_.isPlainObject(filter) && _.isString(filter.method)) {
+      filter = Object.assign({}, filter, { method: filter.method.toUpperCase() });
+    }
+    return _.filter(this._history, filter || _.stubTrue);
+  }
+
+  /**
+   * Inject fault for requests to an endpoint, making requests fail with
+   * network errors (`network`), timeouts (`timeout`), or error responses
+   * (`status`). Timeouts are rejected after the `timeout` specified in the
+   * request config. Faults are cleared when the server is reset.
+   *
+   * @param {string} endpoint - Url or abstract endpoint to inject fault for (`*` for all endpoints).
+   * @param {object|string} options - Fault options (or fault type).
+   * @param {string} options.type - Type of fault (`network`, `timeout`, or `status`).
+   * @param {number} options.rate - Probability (0 to 1) that matching requests fail (using
+   *     random values from the server `seed`, so failures are reproducible).
+   * @param {number} options.times - Number of times fault should occur.
+   * @param {string} options.method - Request method to inject fault for.
+   * @param {number} options.status - Status code for `status` faults.
+   *
+   * @example
+   * server.fail('/posts', { type: 'network', times: 2 });
+   * server.fail('/posts/:id', { type: 'status', status: 503, rate: 0.5 });
+   */
+  fail(endpoint, options) {
+    if (_.isString(options)) {
+      options = { type: options };
+    }
+    options = Object.assign({ type: 'network', rate: 1, times: Infinity }, options);
+    if (!['network', 'timeout', 'status'].includes(options.type)) {
+      throw new Error(`Invalid fault type \`${options.type}\`.`);
+    }
+    if (_.isString(options.method)) {
+      options.method = options.method.toUpperCase();
+    }
+    this._faults.push(Object.assign(options, { endpoint }));
+  }
+
+  /**
+   * Create axios adapter that processes requests with the mock
+   * server. Using the adapter (instead of mocking axios via `init()`)
+   * runs requests through the full axios pipeline, including
+   * interceptors, request/response transforms, and `validateStatus`.
+   *
+   * @example
+   * const instance = axios.create({ adapter: server.adapter() });
+   */
+  adapter() {
+    return config => new Promise((resolve, reject) => {
+      // parse serialized payloads
+      let data = config.data;
+      if (_.isString(data)) {
+        try {
+          data = JSON.parse(data);
+        } catch (err) {
+          // keep non-json payloads as-is
         }
+      }
 
-        // handle missing server methods
-        const method = this._api[endpoint].delete;
-        if (method === undefined) {
-          reject(NotFound(url, 'DELETE'));
+      // handle cancelled requests
+      if (config.cancelToken) {
+        config.cancelToken.promise.then(reject);
+      }
+
+      // settle response using axios config
+      const settle = (response) => {
+        response = Object.assign({}, response, {
+          config,
+          data: _.isUndefined(response.data) ? '' : JSON.stringify(response.data),
+          headers: Object.assign({ 'content-type': 'application/json' }, response.headers),
+        });
+        if (!config.validateStatus || config.validateStatus(response.status)) {
+          resolve(response);
+        } else {
+          const error = createError({
+            status: response.status,
+            message: `Request failed with status code ${response.status}`,
+            data: response.data,
+            headers: response.headers,
+          }, config, response.request);
+          reject(error);
         }
+      };
 
-        // resolve response
-        let result;
-        if (typeof data === 'undefined') {
-          result = this._api[endpoint].delete(id);
+      this.dispatch(config.method || 'get', config.url, data, config).then(settle, (error) => {
+        if (_.isUndefined(error.response)) {
+          error.config = config;
+          reject(error);
         } else {
-          result = this._api[endpoint].delete(data, id);
+          settle(error.response);
         }
-        resolve({
-          status: 204,
-          data: result,
-        });
       });
     });
+  }
+
+  /**
+   * Install mock server as the adapter for an axios instance,
+   * so that requests made with the instance are processed by
+   * the mock server. See `adapter()` for more information.
+   *
+   * @param {object} axios - Axios instance (or default axios export).
+   *
+   * @example
+   * server.install(axios);
+   */
+  install(axios) {
+    axios.defaults.adapter = this.adapter();
+    return axios;
+  }
 
-    // instance creation
-    axios.create.mockImplementation((params) => {
-      if (_.has(params, 'baseUrl')) {
-        baseUrl = params.baseUrl;
+  /**
+   * Initialize server mock and create fake callables for
+   * all axios requests. This method should be called before tests
+   * run or at the beginning of a test session. Instances created
+   * via `axios.create()` are isolated mocks that carry their own
+   * config defaults (i.e. `baseURL`, `headers`, and `timeout`).
+   */
+  init(axios) {
+    // generic request handler (i.e. `axios(config)` or `axios(url, config)`)
+    const call = (instance, config, extra) => {
+      if (_.isString(config)) {
+        config = Object.assign({}, extra, { url: config });
       }
-      return axios;
+      config = Object.assign({ method: 'get' }, config);
+      const method = config.method.toLowerCase();
+      return ['get', 'head', 'options'].includes(method)
+        ? instance[method](config.url, config)
+        : instance[method](config.url, config.data, config);
+    };
+
+    // mock request methods for instance, using instance defaults
+    // (read for each request, so later changes to defaults apply)
+    const bind = (instance) => {
+      const request = (config) => {
+        const defaults = instance.defaults || {};
+        const options = Object.assign({}, _.omit(defaults, 'headers'), config);
+        options.headers = combine(defaults.headers, config.headers, config.method);
+        return this.dispatch(config.method, config.url, config.data, options);
+      };
+      const methods = {};
+      ['get', 'head', 'options'].forEach((method) => {
+        methods[method] = (url, config) => request(Object.assign({}, config, { method, url, data: undefined }));
+      });
+      ['post', 'put', 'patch', 'delete'].forEach((method) => {
+        methods[method] = (url, data, config) => request(Object.assign({}, config, { method, url, data }));
+      });
+      _.each(methods, (impl, method) => {
+        if (_.isFunction(_.get(instance, [method, 'mockImplementation']))) {
+          instance[method].mockImplementation(impl);
+        } else {
+          instance[method] = mock(impl);
+        }
+      });
+    };
+
+    // create isolated instance with config defaults
+    const create = (params) => {
+      const defaults = _.cloneDeep(params || {});
+      defaults.headers = Object.assign({ common: {} }, defaults.headers);
+      const instance = mock((config, extra) => call(instance, config, extra));
+      instance.defaults = defaults;
+      instance.interceptors = {
+        request: { use: mock(() => 0), eject: mock(_.noop) },
+        response: { use: mock(() => 0), eject: mock(_.noop) },
+      };
+      bind(instance);
+      return instance;
+    };
+
+    // default export
+    bind(axios);
+    axios.mockImplementation((config, extra) => call(axios, config, extra));
+    axios.create.mockImplementation(create);
+  }
+
+  /**
+   * Serve mock server over HTTP on a local port (i.e. for end-to-end
+   * tests or for developing frontends without a backend). Requests are
+   * processed by the same `api()` handlers and database as mocked axios
+   * requests, with JSON request and response bodies and CORS headers
+   * for browser clients. Admin endpoints are also available for resetting
+   * (`POST /__admin/reset`) and dumping (`GET /__admin/dump`) the database.
+   * Returns a promise resolving to the Node `http` server once it's listening.
+   *
+   * @param {number} port - Port to listen on (`0` for a random port).
+   * @param {object} options - HTTP server options.
+   * @param {string} options.host - Host to listen on (defaults to `localhost`).
+   * @param {boolean|string} options.cors - Add CORS headers to responses, reflecting
+   *     the request origin (`true`) or using a specific origin (defaults to `true`).
+   * @param {string|boolean} options.admin - Prefix for admin endpoints, or `false`
+   *     to disable admin endpoints (defaults to `/__admin`).
+   *
+   * @example
+   * const http = await server.listen(3000);
+   * // ...
+   * http.close();
+   */
+  listen(port, options) {
+    options = options || {};
+    const app = serve(this, options);
+    return new Promise((resolve, reject) => {
+      app.once('error', reject);
+      app.listen(port, options.host || 'localhost', () => {
+        app.removeListener('error', reject);
+        resolve(app);
+      });
     });
+  }
 
-    // base handler
-    axios.mockImplementation((params) => {
-      const before = baseUrl;
-      if (_.has(params, 'baseUrl')) {
-        baseUrl = params.baseUrl;
+  /**
+   * Mock `fetch` in the specified global scope, so that requests
+   * made via `fetch` are processed by the same `api()` handlers and
+   * database as mocked axios requests. Requests resolve with `Response`
+   * objects (using `Response` from the scope when available) and only
+   * reject for network errors, timeouts, and aborted requests (errors
+   * thrown while processing requests are rejected as-is).
+   *
+   * @param {object} scope - Global scope to mock `fetch` in (defaults to `globalThis`).
+   *
+   * @example
+   * server.initFetch(window);
+   */
+  initFetch(scope) {
+    scope = scope || globalScope();
+    scope.fetch = mock((input, init) => new Promise((resolve, reject) => {
+      const {
+        method, url, headers, data, signal,
+      } = parseRequest(input, init);
+
+      // handle aborted requests
+      if (signal) {
+        if (signal.aborted) {
+          reject(createAbortError());
+          return;
+        }
+        signal.addEventListener('abort', () => reject(createAbortError()));
       }
-      params = Object.assign({ method: 'get', data: {} }, params);
-      const method = axios[params.method];
-      const result = method(params.url, params.data);
-      baseUrl = before;
-      return result;
-    });
+
+      this.dispatch(method, url, data, { headers }).then((response) => {
+        resolve(createResponse(scope, response));
+      }, (error) => {
+        if (error.isAxiosError && _.isUndefined(error.response)) {
+          reject(new TypeError('Failed to fetch'));
+        } else if (_.isUndefined(error.response)) {
+          reject(error);
+        } else {
+          resolve(createResponse(scope, error.response));
+        }
+      });
+    }));
+    return scope.fetch;
   }
 }
 
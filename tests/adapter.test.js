@@ -0,0 +1,99 @@
+/**
+ * Testing for package.
+ */
+
+
+// imports
+// -------
+import axios from 'axios';
+import { assert } from 'chai';
+import server from './server';
+
+
+// config
+// ------
+const client = server.install(axios.create({ baseURL: 'https://example.com/api' }));
+beforeEach(() => {
+  server.reset();
+});
+
+
+// tests
+// -----
+describe('adapter', () => {
+  let res;
+
+  test('adapter.requests', async () => {
+    res = await client.get('/posts', { params: { _sort: '-id' } });
+    assert.equal(res.status, 200);
+    assert.equal(res.statusText, 'OK');
+    assert.deepEqual(res.data.map(item => item.id), [2, 1]);
+    assert.equal(res.headers['x-total-count'], '2');
+
+    res = await client.post('/posts', { title: 'Baz', body: 'baz baz' });
+    assert.equal(res.status, 201);
+    assert.equal(res.data.id, 3);
+
+    res = await client.patch('/posts/3', { title: 'Test' });
+    assert.equal(res.data.title, 'Test');
+    assert.equal(res.data.body, 'baz baz');
+
+    res = await client.delete('/posts/3');
+    assert.equal(res.status, 204);
+    assert.equal(res.data, '');
+
+    res = server.requests({ method: 'POST' });
+    assert.equal(res[0].url, '/posts');
+    assert.deepEqual(res[0].data, { title: 'Baz', body: 'baz baz' });
+  });
+
+  test('adapter.interceptors', async () => {
+    const instance = axios.create({
+      adapter: server.adapter(),
+      transformResponse: [data => JSON.parse(data, (key, value) => (key === 'title' ? value.toUpperCase() : value))],
+    });
+    instance.interceptors.request.use((config) => {
+      config.headers.Authorization = 'Bearer token';
+      return config;
+    });
+    instance.interceptors.response.use(response => response.data);
+
+    res = await instance.get('/posts/1');
+    assert.equal(res.title, 'FOO');
+    assert.equal(server.requests()[0].headers.Authorization, 'Bearer token');
+  });
+
+  test('adapter.errors', async () => {
+    // rejected by validateStatus
+    try {
+      await client.get('/posts/5');
+      assert.fail('Request should have thrown an error.');
+    } catch (err) {
+      assert.isTrue(err.isAxiosError);
+      assert.equal(err.message, 'Request failed with status code 404');
+      assert.equal(err.response.status, 404);
+      assert.equal(err.config.url, '/posts/5');
+      assert.equal(err.config.baseURL, 'https://example.com/api');
+      assert.equal(err.response.data.status, 404);
+    }
+
+    // custom validateStatus
+    res = await client.get('/posts/5', { validateStatus: () => true });
+    assert.equal(res.status, 404);
+
+    // retry via response interceptor
+    const instance = axios.create({ adapter: server.adapter() });
+    instance.interceptors.response.use(null, (err) => {
+      if (err.message === 'Network Error' && !err.config.retried) {
+        err.config.retried = true;
+        return instance(err.config);
+      }
+      throw err;
+    });
+    server.fail('/posts', { type: 'network', times: 1 });
+    res = await instance.get('/posts');
+    assert.equal(res.status, 200);
+    assert.equal(server.requests({ url: '/posts' }).length, 2);
+  });
+
+});
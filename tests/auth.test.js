@@ -0,0 +1,196 @@
+/**
+ * Testing for package.
+ */
+
+
+// imports
+// -------
+import axios from 'axios';
+import { assert } from 'chai';
+import { Server } from '../src/server';
+
+
+// server
+// ------
+class Secure extends Server {
+  data() {
+    return {
+      posts: [
+        { title: 'Foo' },
+        { title: 'Bar' },
+      ],
+    };
+  }
+
+  api() {
+    return {
+      '/public': {
+        get: () => ({ public: true }),
+      },
+      '/posts': { ...this.collection('posts'), auth: true },
+      '/admin/stats': {
+        get: (id, request) => ({ posts: this.db.posts.all().length, user: request.user.username }),
+        auth: ['admin', 'owner'],
+      },
+    };
+  }
+}
+
+const server = new Secure();
+const auth = server.auth({
+  users: [
+    { username: 'admin', password: 'secret', role: 'admin' },
+    { username: 'jdoe', password: 'password', role: ['editor'] },
+  ],
+  expires: 60 * 1000,
+});
+
+
+// config
+// ------
+jest.mock('axios');
+server.init(axios);
+beforeEach(() => {
+  server.reset();
+});
+
+
+// helpers
+// -------
+async function login(username, password) {
+  const res = await axios.post('/auth/login', { username, password });
+  return res.data;
+}
+
+async function reject(promise, status) {
+  try {
+    await promise;
+    assert.fail('Request should have thrown an error.');
+  } catch (err) {
+    assert.equal(err.status, status);
+    return err;
+  }
+  return undefined;
+}
+
+
+// tests
+// -----
+describe('auth', () => {
+  let res;
+
+  test('auth.login', async () => {
+    const data = await login('admin', 'secret');
+    assert.equal(data.token_type, 'Bearer');
+    assert.equal(data.expires_in, 60);
+    assert.isString(data.access_token);
+    assert.isString(data.refresh_token);
+    assert.deepEqual(data.user, { id: 1, username: 'admin', role: 'admin' });
+
+    // authenticated user
+    const headers = { Authorization: `Bearer ${data.access_token}` };
+    res = await axios.get('/auth/user', { headers });
+    assert.deepEqual(res.data, { id: 1, username: 'admin', role: 'admin' });
+
+    // invalid credentials
+    const err = await reject(login('admin', 'wrong'), 401);
+    assert.equal(err.response.data.message, 'Invalid credentials.');
+    await reject(login(), 401);
+  });
+
+  test('auth.required', async () => {
+    // endpoints without auth
+    res = await axios.get('/public');
+    assert.isTrue(res.data.public);
+
+    // missing and invalid tokens
+    await reject(axios.get('/posts'), 401);
+    await reject(axios.get('/posts', { headers: { Authorization: 'Bearer invalid' } }), 401);
+    await reject(axios.get('/posts', { headers: { Authorization: 'Basic abc' } }), 401);
+
+    // valid token
+    const { access_token: token } = await login('jdoe', 'password');
+    res = await axios.get('/posts', { headers: { Authorization: `Bearer ${token}` } });
+    assert.equal(res.data.length, 2);
+
+    // options requests allowed
+    res = await axios.options('/posts');
+    assert.equal(res.status, 204);
+
+    // authentication required for all endpoints
+    const strict = new Secure();
+    strict.auth({ users: [{ username: 'admin', password: 'secret' }], required: true });
+    strict.init(axios);
+    await reject(axios.get('/public'), 401);
+    const tokens = await login('admin', 'secret');
+    res = await axios.post('/auth/refresh', { refresh_token: tokens.refresh_token });
+    res = await axios.get('/public', { headers: { Authorization: `Bearer ${res.data.access_token}` } });
+    assert.isTrue(res.data.public);
+    server.init(axios);
+  });
+
+  test('auth.roles', async () => {
+    const { access_token: token } = await login('jdoe', 'password');
+    await reject(axios.get('/admin/stats', { headers: { Authorization: `Bearer ${token}` } }), 403);
+
+    const { access_token: admin } = auth.issue(1);
+    res = await axios.get('/admin/stats', { headers: { Authorization: `Bearer ${admin}` } });
+    assert.deepEqual(res.data, { posts: 2, user: 'admin' });
+  });
+
+  test('auth.refresh', async () => {
+    const tokens = await login('admin', 'secret');
+    const headers = { Authorization: `Bearer ${tokens.access_token}` };
+
+    // expired token
+    auth.expire();
+    const err = await reject(axios.get('/posts', { headers }), 401);
+    assert.equal(err.response.data.message, 'The access token has expired.');
+
+    // refresh
+    res = await axios.post('/auth/refresh', { refresh_token: tokens.refresh_token });
+    assert.equal(res.status, 200);
+    assert.notEqual(res.data.access_token, tokens.access_token);
+    res = await axios.get('/posts', { headers: { Authorization: `Bearer ${res.data.access_token}` } });
+    assert.equal(res.status, 200);
+
+    // refresh tokens can only be used once
+    await reject(axios.post('/auth/refresh', { refresh_token: tokens.refresh_token }), 401);
+  });
+
+  test('auth.expires', async () => {
+    const now = Date.now();
+    const spy = jest.spyOn(Date, 'now').mockImplementation(() => now);
+    const { access_token: token } = await login('admin', 'secret');
+    const headers = { Authorization: `Bearer ${token}` };
+    spy.mockImplementation(() => now + 59 * 1000);
+    res = await axios.get('/posts', { headers });
+    assert.equal(res.status, 200);
+    spy.mockImplementation(() => now + 60 * 1000);
+    await reject(axios.get('/posts', { headers }), 401);
+    spy.mockRestore();
+  });
+
+  test('auth.logout', async () => {
+    const { access_token: token } = await login('admin', 'secret');
+    const headers = { Authorization: `Bearer ${token}` };
+    res = await axios.post('/auth/logout', undefined, { headers });
+    assert.equal(res.status, 204);
+    await reject(axios.get('/posts', { headers }), 401);
+    assert.isUndefined(auth.user(token));
+
+    // sessions cleared on reset
+    const { access_token: other } = await login('admin', 'secret');
+    assert.equal(auth.user(other).username, 'admin');
+    server.reset();
+    assert.isUndefined(auth.user(other));
+  });
+
+  test('auth.invalid', () => {
+    assert.equal(server.auth(), auth);
+    assert.throws(() => server.auth({}), /already configured/);
+    assert.throws(() => new Secure().auth({ model: 'missing' }), /must be a collection/);
+    assert.throws(() => new Secure().auth({ routes: { login: '/public' } }), /conflict with endpoints in `api\(\)`: \/public/);
+    assert.throws(() => auth.issue(10), /not in model/);
+  });
+});
@@ -33,6 +33,42 @@ describe('collection', () => {
     ]);
   });
 
+  test('collection.query', async () => {
+    // filter
+    res = await axios.get('/posts?title=Bar');
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.data, [
+      { id: 2, title: 'Bar', body: 'bar baz', author_id: 1 },
+    ]);
+    assert.equal(res.headers['x-total-count'], '1');
+    res = await axios.get('/posts', { params: { include: 'author', q: '', _: 1234 } });
+    assert.deepEqual(res.data.map(item => item.id), [1, 2]);
+    assert.equal(res.headers['x-total-count'], '2');
+
+    // sort
+    res = await axios.get('/posts', { params: { author_id: 1, _sort: 'title' } });
+    assert.deepEqual(res.data.map(item => item.id), [2, 1]);
+    res = await axios.get('/posts?_sort=-id');
+    assert.deepEqual(res.data.map(item => item.id), [2, 1]);
+
+    // paginate
+    res = await axios.get('/posts?_sort=id&_page=2&_limit=1');
+    assert.deepEqual(res.data.map(item => item.id), [2]);
+    assert.equal(res.headers['x-total-count'], '2');
+    res = await axios.get('/posts?_page=3&_limit=1');
+    assert.deepEqual(res.data, []);
+    res = await axios.get('/posts?_page=abc&_limit=abc');
+    assert.deepEqual(res.data.map(item => item.id), [1, 2]);
+    res = await axios.get('/posts?_page=abc&_limit=1');
+    assert.deepEqual(res.data.map(item => item.id), [1]);
+
+    // nested
+    res = await axios.get('/posts/1/history?delta=bar');
+    assert.deepEqual(res.data, [
+      { id: 2, delta: 'bar', post_id: 1 },
+    ]);
+  });
+
   test('collection.put', async () => {
 
     // single item
@@ -57,6 +93,21 @@ describe('collection', () => {
     ]);
   });
 
+  test('collection.patch', async () => {
+    res = await axios.patch('/posts', [
+      { id: 1, title: 'Footest' },
+      { id: 2, title: 'Bartest' },
+    ]);
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.data, [
+      { id: 1, title: 'Footest', body: 'foo bar', author_id: 1 },
+      { id: 2, title: 'Bartest', body: 'bar baz', author_id: 1 },
+    ]);
+
+    res = await axios.put('/posts', { id: 1, title: 'Test' });
+    assert.deepEqual(res.data, { id: 1, title: 'Test' });
+  });
+
   test('collection.post', async () => {
 
     // single item
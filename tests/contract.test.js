@@ -0,0 +1,256 @@
+/**
+ * Testing for package.
+ */
+
+
+// imports
+// -------
+import path from 'path';
+import axios from 'axios';
+import { assert } from 'chai';
+import { Server } from '../src/server';
+import { ContractError } from '../src/contract';
+
+
+// server
+// ------
+const SPEC = {
+  openapi: '3.0.0',
+  paths: {
+    '/posts': {
+      get: {
+        parameters: [
+          { name: 'title', in: 'query', schema: { type: 'string' } },
+          { name: '_limit', in: 'query', schema: { type: 'integer', minimum: 1 } },
+        ],
+        responses: {
+          200: {
+            content: {
+              'application/json': {
+                schema: { type: 'array', items: { $ref: '#/components/schemas/Post' } },
+              },
+            },
+          },
+        },
+      },
+      post: {
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: { $ref: '#/components/schemas/Post' },
+            },
+          },
+        },
+        responses: {
+          201: {
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Post' },
+              },
+            },
+          },
+          '4XX': {
+            content: {
+              'application/json': {
+                schema: { type: 'object' },
+              },
+            },
+          },
+        },
+      },
+    },
+    '/posts/{id}': {
+      parameters: [
+        { name: 'id', in: 'path', required: true, schema: { type: 'integer' } },
+      ],
+      get: {
+        responses: {
+          200: {
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Post' },
+              },
+            },
+          },
+        },
+      },
+      delete: {
+        responses: {
+          204: { description: 'Deleted' },
+        },
+      },
+    },
+  },
+  components: {
+    schemas: {
+      Post: {
+        allOf: [
+          {
+            type: 'object',
+            required: ['id'],
+            properties: {
+              id: { type: 'integer', readOnly: true },
+            },
+          },
+          {
+            type: 'object',
+            required: ['title'],
+            properties: {
+              title: { type: 'string', minLength: 1 },
+              status: { type: 'string', enum: ['draft', 'published'] },
+              author: { type: 'string', nullable: true },
+            },
+          },
+        ],
+      },
+    },
+  },
+};
+
+class Blog extends Server {
+  data() {
+    return {
+      posts: [
+        { title: 'Foo', status: 'draft', author: null },
+        { title: 'Bar', status: 'published', views: 10 },
+      ],
+    };
+  }
+
+  api() {
+    return {
+      '/posts': this.collection('posts'),
+      '/posts/:id': this.model('posts'),
+      '/comments': {
+        get: () => [],
+      },
+    };
+  }
+}
+
+const server = new Blog();
+
+
+// config
+// ------
+jest.mock('axios');
+server.init(axios);
+beforeEach(() => {
+  server.reset();
+  server.contract(SPEC);
+});
+
+
+// helpers
+// -------
+async function violations(promise) {
+  try {
+    await promise;
+    assert.fail('Request should have thrown an error.');
+  } catch (err) {
+    assert.instanceOf(err, ContractError);
+    return err.message.split('\n').slice(1).map(line => line.replace(/^ {2}- \S+ \S+ \((.+)\)/, '$1'));
+  }
+  return [];
+}
+
+
+// tests
+// -----
+describe('contract', () => {
+  let res;
+
+  test('contract.valid', async () => {
+    res = await axios.get('/posts/1');
+    assert.equal(res.data.title, 'Foo');
+    res = await axios.post('/posts', { title: 'Baz' });
+    assert.equal(res.status, 201);
+    res = await axios.get('/posts', { params: { title: 'Baz', _limit: '1' } });
+    assert.equal(res.data.length, 1);
+    res = await axios.delete('/posts/3');
+    assert.equal(res.status, 204);
+    assert.deepEqual(server.contract().violations, []);
+  });
+
+  test('contract.responses', async () => {
+    // undocumented fields
+    let result = await violations(axios.get('/posts/2'));
+    assert.deepEqual(result, ['response.body.views: This field is not documented.']);
+    result = await violations(axios.get('/posts'));
+    assert.deepEqual(result, ['response.body[1].views: This field is not documented.']);
+
+    // undocumented status
+    result = await violations(axios.get('/posts/10'));
+    assert.deepEqual(result, ['response.status: Status `404` is not documented.']);
+
+    // missing required properties and invalid types
+    server.db.posts.data[1].title = null;
+    server.db.posts.data[1].status = 'archived';
+    result = await violations(axios.get('/posts/1'));
+    assert.deepEqual(result, [
+      'response.body.title: Expected type `string`.',
+      'response.body.status: Must be one of: draft, published.',
+    ]);
+  });
+
+  test('contract.requests', async () => {
+    // request body
+    let result = await violations(axios.post('/posts', { title: '', extra: true }));
+    assert.deepEqual(result, [
+      'request.body.title: Must have length of at least 1.',
+      'request.body.extra: This field is not documented.',
+    ]);
+    result = await violations(axios.post('/posts', { status: 'draft' }));
+    assert.deepEqual(result, ['request.body.title: This field is required.']);
+
+    // rejected requests aren't processed
+    assert.deepEqual(server.db.posts.all().map(item => item.id), [1, 2]);
+    assert.equal(server.requests({ method: 'POST', url: '/posts' }).length, 2);
+
+    // parameters
+    result = await violations(axios.get('/posts', { params: { title: 'Foo', _limit: 0, _page: 1 } }));
+    assert.deepEqual(result, [
+      'request.query._limit: Must be at least 1.',
+      'request.query._page: This field is not documented.',
+    ]);
+    result = await violations(axios.get('/posts/abc'));
+    assert.include(result, 'request.path.id: Expected type `integer`.');
+
+    // undocumented operations
+    result = await violations(axios.get('/comments'));
+    assert.deepEqual(result, ['request: Operation `GET /comments` is not documented.']);
+  });
+
+  test('contract.report', async () => {
+    server.contract(path.join(__dirname, 'specs', 'openapi.yaml'), { report: true });
+    await axios.get('/posts/2');
+    await axios.get('/comments');
+    server.reset();
+    const contract = server.contract();
+    assert.equal(contract.violations.length, 3);
+    assert.deepEqual(contract.report(), [
+      {
+        operation: 'GET /posts/{postId}',
+        count: 2,
+        messages: ['response.body.status: This field is not documented.', 'response.body.views: This field is not documented.'],
+      },
+      {
+        operation: 'GET /comments',
+        count: 1,
+        messages: ['request: Operation `GET /comments` is not documented.'],
+      },
+    ]);
+    contract.clear();
+    assert.deepEqual(contract.violations, []);
+  });
+
+  test('contract.strict', async () => {
+    server.contract(SPEC, { strict: false });
+    res = await axios.get('/posts/2');
+    assert.equal(res.data.views, 10);
+    server.contract(null);
+    res = await axios.get('/comments');
+    assert.deepEqual(res.data, []);
+  });
+});
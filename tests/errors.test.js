@@ -51,4 +51,49 @@ describe('errors', () => {
     }
   });
 
+  test('errors.axios', async () => {
+    try {
+      await axios.get('/posts/5', { headers: { 'X-Test': 'test' } });
+      assert.fail('Request should have thrown an error.');
+    } catch (err) {
+      assert.instanceOf(err, Error);
+      assert.isTrue(err.isAxiosError);
+      assert.equal(err.config.method, 'get');
+      assert.equal(err.config.url, '/posts/5');
+      assert.equal(err.request.url, '/posts/5');
+      assert.equal(err.response.status, 404);
+      assert.equal(err.response.statusText, 'Not Found');
+      assert.deepEqual(err.response.headers, {});
+      assert.deepEqual(err.response.data, {
+        status: 404,
+        message: 'Could not find either resource `5` or nested payload for resource.',
+      });
+      assert.equal(err.response.config, err.config);
+      assert.equal(err.toJSON().status, 404);
+    }
+  });
+
+  test('errors.unprocessable', async () => {
+    try {
+      await axios.post('/errors/invalid', {});
+      assert.fail('Request should have thrown an error.');
+    } catch (err) {
+      assert.equal(err.status, 422);
+      assert.deepEqual(err.errors, { title: ['This field is required.'] });
+      assert.deepEqual(err.response.data.errors, { title: ['This field is required.'] });
+    }
+  });
+
+  test('errors.throttled', async () => {
+    try {
+      await axios.get('/errors/throttled');
+      assert.fail('Request should have thrown an error.');
+    } catch (err) {
+      assert.equal(err.status, 429);
+      assert.equal(err.response.statusText, 'Too Many Requests');
+      assert.deepEqual(err.response.headers, { 'retry-after': '30' });
+      assert.deepEqual(err.response.data, { status: 429, message: 'Too Many Requests' });
+    }
+  });
+
 });
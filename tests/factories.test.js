@@ -0,0 +1,107 @@
+/**
+ * Testing for package.
+ */
+
+
+// imports
+// -------
+import axios from 'axios';
+import { assert } from 'chai';
+import { random } from '../src/factories';
+import server from './server';
+
+
+// config
+// ------
+jest.mock('axios');
+server.init(axios);
+server.factory('authors', ({ sequence }) => ({
+  name: `Author ${sequence}`,
+  email: `author${sequence}@example.com`,
+}));
+server.factory('posts', ({ sequence, random: rng, associate }) => ({
+  title: `Post ${sequence}`,
+  body: rng.string(12),
+  views: rng.int(0, 100),
+  author_id: associate('authors'),
+}));
+beforeEach(() => {
+  server.reset();
+});
+
+
+// tests
+// -----
+describe('factories', () => {
+  let res;
+
+  test('factories.seed', async () => {
+    const posts = server.seed('posts', 500);
+    assert.equal(posts.length, 500);
+    assert.equal(posts[0].id, 3);
+    assert.equal(posts[0].title, 'Post 1');
+    assert.equal(posts[499].title, 'Post 500');
+    assert.equal(server.db.posts.all().length, 502);
+
+    // associated records
+    assert.equal(server.db.authors.all().length, 502);
+    assert.equal(posts[0].author_id, 3);
+    assert.equal(posts[0].author.name, 'Author 1');
+
+    // records available from api
+    res = await axios.get('/posts?_page=2&_limit=20');
+    assert.equal(res.data.length, 20);
+    assert.equal(res.headers['x-total-count'], '502');
+  });
+
+  test('factories.overrides', () => {
+    let posts = server.seed('posts', 2, { title: 'Override', author_id: 1 });
+    assert.deepEqual(posts.map(post => post.title), ['Override', 'Override']);
+    assert.equal(posts[0].author_id, 1);
+
+    posts = server.seed('posts', 3, index => ({ title: `Index ${index}` }));
+    assert.deepEqual(posts.map(post => post.title), ['Index 0', 'Index 1', 'Index 2']);
+
+    // create single record
+    const post = server.create('posts', { body: 'body' });
+    assert.equal(post.title, 'Post 6');
+    assert.equal(post.body, 'body');
+
+    // collections without factories
+    const comment = server.create('comments', { user: 'jane', body: 'baz comment', post_id: 2 });
+    assert.equal(comment.id, 3);
+  });
+
+  test('factories.deterministic', () => {
+    const first = server.seed('posts', 10);
+    server.reset();
+    const second = server.seed('posts', 10);
+    assert.deepEqual(first.map(post => post.body), second.map(post => post.body));
+    assert.deepEqual(first.map(post => post.views), second.map(post => post.views));
+
+    // random helpers
+    const rng = random(42);
+    const other = random(42);
+    const values = [rng.number(), rng.int(1, 6), rng.bool(), rng.pick(['a', 'b', 'c']), rng.string(5)];
+    assert.deepEqual(values, [other.number(), other.int(1, 6), other.bool(), other.pick(['a', 'b', 'c']), other.string(5)]);
+    assert.isAtLeast(values[1], 1);
+    assert.isAtMost(values[1], 6);
+    assert.equal(values[4].length, 5);
+    assert.notEqual(random(1).number(), random(2).number());
+  });
+
+  test('factories.after', () => {
+    server.factory('posts', ({ sequence }) => ({ title: `Post ${sequence}`, author_id: 1 }), {
+      after: (post, { seed }) => seed('comments', 3, { user: 'jack', body: 'comment', post_id: post.id }),
+    });
+    const post = server.create('posts');
+    assert.equal(post.comments.length, 3);
+    assert.deepEqual(post.comments.map(comment => comment.post_id), [3, 3, 3]);
+  });
+
+  test('factories.invalid', () => {
+    assert.throws(() => server.factory('profile', () => ({})), /only be defined for collections/);
+    assert.throws(() => server.factory('tags', { name: 'test' }), /must be a function/);
+    assert.throws(() => server.seed('missing', 1), /not a collection/);
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Testing for package.
+ */
+
+
+// imports
+// -------
+import axios from 'axios';
+import { assert } from 'chai';
+import server from './server';
+
+
+// config
+// ------
+jest.mock('axios');
+jest.useFakeTimers();
+server.init(axios);
+beforeEach(() => {
+  server.reset();
+  server.options.latency = 0;
+});
+
+
+// tests
+// -----
+describe('faults', () => {
+  let res;
+
+  test('faults.network', async () => {
+    server.fail('/posts', { type: 'network', times: 2 });
+
+    // failures
+    for (let i = 0; i < 2; i += 1) {
+      try {
+        await axios.get('/posts');
+        assert.fail('Request should have thrown an error.');
+      } catch (err) {
+        assert.equal(err.message, 'Network Error');
+        assert.isTrue(err.isAxiosError);
+        assert.isUndefined(err.response);
+        assert.equal(err.config.url, '/posts');
+      }
+    }
+
+    // recovered
+    res = await axios.get('/posts');
+    assert.equal(res.status, 200);
+    assert.equal(server.requests({ fault: 'network' }).length, 2);
+  });
+
+  test('faults.timeout', async () => {
+    server.fail('/posts/:id', 'timeout');
+
+    const promise = axios.get('/posts/1', { timeout: 1000 });
+    let error;
+    promise.catch((err) => {
+      error = err;
+    });
+    jest.advanceTimersByTime(999);
+    await Promise.resolve();
+    assert.isUndefined(error);
+
+    jest.advanceTimersByTime(1);
+    try {
+      await promise;
+      assert.fail('Request should have thrown an error.');
+    } catch (err) {
+      assert.equal(err.code, 'ECONNABORTED');
+      assert.equal(err.message, 'timeout of 1000ms exceeded');
+    }
+  });
+
+  test('faults.latency', async () => {
+    server.options.latency = 500;
+
+    // latency exceeds timeout
+    let promise = axios.get('/posts', { timeout: 100 });
+    jest.advanceTimersByTime(100);
+    try {
+      await promise;
+      assert.fail('Request should have thrown an error.');
+    } catch (err) {
+      assert.equal(err.code, 'ECONNABORTED');
+    }
+
+    // latency within timeout
+    promise = axios.get('/posts', { timeout: 1000 });
+    jest.advanceTimersByTime(500);
+    res = await promise;
+    assert.equal(res.status, 200);
+  });
+
+  test('faults.status', async () => {
+    server.fail('/posts/1', { type: 'status', status: 503, method: 'patch' });
+
+    res = await axios.get('/posts/1');
+    assert.equal(res.status, 200);
+    try {
+      await axios.patch('/posts/1', { title: 'Test' });
+      assert.fail('Request should have thrown an error.');
+    } catch (err) {
+      assert.equal(err.status, 503);
+      assert.equal(err.response.statusText, 'Service Unavailable');
+    }
+
+    // handler not invoked
+    res = await axios.get('/posts/1');
+    assert.equal(res.data.title, 'Foo');
+  });
+
+  test('faults.rate', async () => {
+    const run = async () => {
+      server.reset();
+      server.fail('*', { type: 'status', rate: 0.5 });
+      const statuses = [];
+      for (let index = 0; index < 10; index += 1) {
+        statuses.push(await axios.get('/posts').then(item => item.status, err => err.status));
+      }
+      return statuses;
+    };
+
+    // failures reproducible for seed
+    const statuses = await run();
+    assert.includeMembers(statuses, [200, 500]);
+    assert.deepEqual(await run(), statuses);
+  });
+
+  test('faults.reset', async () => {
+    server.fail('/posts');
+    server.reset();
+    res = await axios.get('/posts');
+    assert.equal(res.status, 200);
+  });
+
+});
@@ -0,0 +1,143 @@
+/**
+ * Testing for package.
+ */
+
+
+// imports
+// -------
+import { assert } from 'chai';
+import { FetchResponse, globalScope } from '../src/fetch';
+import { Server } from '../src/server';
+import server from './server';
+
+
+// config
+// ------
+const scope = {};
+const fetch = server.initFetch(scope);
+beforeEach(() => {
+  server.reset();
+});
+
+
+// tests
+// -----
+describe('fetch', () => {
+  let res;
+
+  test('fetch.get', async () => {
+    res = await scope.fetch('/posts?_limit=1');
+    assert.isTrue(res instanceof FetchResponse);
+    assert.equal(res.status, 200);
+    assert.equal(res.statusText, 'OK');
+    assert.isTrue(res.ok);
+    assert.equal(res.headers.get('Content-Type'), 'application/json');
+    assert.equal(res.headers.get('x-total-count'), '2');
+    const data = await res.json();
+    assert.equal(data.length, 1);
+    assert.equal(data[0].title, 'Foo');
+
+    // body can only be consumed once
+    try {
+      await res.text();
+      assert.fail('Body was consumed twice.');
+    } catch (err) {
+      assert.isTrue(err instanceof TypeError);
+    }
+
+    // absolute urls and request objects
+    res = await fetch('https://example.com/posts/1');
+    assert.equal((await res.json()).id, 1);
+    res = await fetch({ url: '/posts/2', method: 'GET' });
+    assert.equal((await res.json()).id, 2);
+    expect(scope.fetch).toHaveBeenCalledTimes(3);
+  });
+
+  test('fetch.post', async () => {
+    res = await fetch('/posts', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ title: 'Baz', body: 'baz' }),
+    });
+    assert.equal(res.status, 201);
+    assert.deepEqual(await res.json(), {
+      id: 3,
+      title: 'Baz',
+      body: 'baz',
+    });
+    assert.equal(server.db.posts.get(3).title, 'Baz');
+
+    // request recorded in history
+    const history = server.requests({ method: 'POST' });
+    assert.deepEqual(history[0].headers, { 'Content-Type': 'application/json' });
+    assert.deepEqual(history[0].data, { title: 'Baz', body: 'baz' });
+  });
+
+  test('fetch.delete', async () => {
+    res = await fetch('/posts/1', { method: 'DELETE' });
+    assert.equal(res.status, 204);
+    assert.equal(await res.text(), '');
+    assert.isNull(res.headers.get('content-type'));
+  });
+
+  test('fetch.errors', async () => {
+    // error responses resolve
+    res = await fetch('/posts/10');
+    assert.equal(res.status, 404);
+    assert.isFalse(res.ok);
+    assert.equal((await res.json()).status, 404);
+
+    // network errors reject
+    server.fail('/posts', 'network');
+    try {
+      await fetch('/posts');
+      assert.fail('Request resolved instead of rejecting.');
+    } catch (err) {
+      assert.isTrue(err instanceof TypeError);
+      assert.equal(err.message, 'Failed to fetch');
+    }
+
+    // errors from handlers reject as-is
+    class Broken extends Server {
+      api() {
+        return {
+          '/posts': {
+            get: () => { throw new Error('Handler bug'); },
+          },
+        };
+      }
+    }
+    const broken = {};
+    new Broken().initFetch(broken);
+    try {
+      await broken.fetch('/posts');
+      assert.fail('Request resolved instead of rejecting.');
+    } catch (err) {
+      assert.isFalse(err instanceof TypeError);
+      assert.equal(err.message, 'Handler bug');
+    }
+
+    // aborted requests reject
+    try {
+      await fetch('/posts', { signal: { aborted: true } });
+      assert.fail('Request resolved instead of rejecting.');
+    } catch (err) {
+      assert.equal(err.name, 'AbortError');
+    }
+  });
+
+  test('fetch.scope', async () => {
+    class Custom extends FetchResponse {}
+    const custom = { Response: Custom };
+    server.initFetch(custom);
+    res = await custom.fetch('/posts/1');
+    assert.isTrue(res instanceof Custom);
+    assert.equal((await res.clone().json()).id, 1);
+    assert.equal((await res.json()).id, 1);
+
+    // default global scope
+    const original = globalScope().fetch;
+    assert.equal(server.initFetch(), globalScope().fetch);
+    globalScope().fetch = original;
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * Testing for package.
+ */
+
+
+// imports
+// -------
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import axios from 'axios';
+import { assert } from 'chai';
+import { Server } from '../src/server';
+import { define } from '../src/models';
+import { belongsTo } from '../src/relations';
+import { fixtures } from '../src/fixtures';
+import blog from './server';
+
+
+// config
+// ------
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+class Store extends Server {
+  data() {
+    return fixtures(FIXTURES);
+  }
+
+  api() {
+    return {
+      '/products': this.collection('products'),
+      '/products/:id': this.model('products'),
+      '/store': this.singleton('store'),
+    };
+  }
+}
+const store = new Store();
+
+jest.mock('axios');
+let server;
+let tmp;
+beforeEach(() => {
+  server = new blog.constructor('blog');
+  server.init(axios);
+  tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'jest-axios-'));
+});
+afterEach(() => {
+  remove(tmp);
+});
+
+
+// helpers
+// -------
+function remove(target) {
+  if (fs.lstatSync(target).isDirectory()) {
+    fs.readdirSync(target).forEach(item => remove(path.join(target, item)));
+    fs.rmdirSync(target);
+  } else {
+    fs.unlinkSync(target);
+  }
+}
+
+
+// tests
+// -----
+describe('fixtures', () => {
+  let res;
+
+  test('fixtures.data', async () => {
+    const data = fixtures(FIXTURES);
+    assert.deepEqual(Object.keys(data), ['posts', 'products', 'store']);
+    assert.equal(data.store.currency, 'USD');
+
+    // ids from fixtures preserved
+    assert.deepEqual(store.db.products.get(4), {
+      id: 4,
+      name: 'Gadget',
+      price: 25,
+      dimensions: { width: 3, height: 8 },
+    });
+    assert.isUndefined(store.db.products.get(2));
+    assert.deepEqual(store.db.store.get(), { name: 'Example Store', currency: 'USD', open: true });
+    store.db.products.add({ name: 'Thing', price: 5 });
+    assert.equal(store.db.products.get(5).name, 'Thing');
+    store.reset();
+    assert.equal(store.db.products.all().length, 2);
+  });
+
+  test('fixtures.load', async () => {
+    server.load(FIXTURES);
+
+    // existing models replaced
+    res = await axios.get('/posts');
+    assert.deepEqual(res.data.map(post => post.id), [1, 3]);
+    assert.equal(res.data[0].title, 'Fixture');
+    res = await axios.post('/posts', { title: 'Baz', body: 'baz' });
+    assert.equal(res.data.id, 4);
+
+    // new models added
+    assert.equal(server.db.products.get(1).name, 'Widget');
+    assert.equal(server.db.store.get().name, 'Example Store');
+
+    // reset to loaded data
+    server.db.products.remove(1);
+    server.reset();
+    res = await axios.get('/posts');
+    assert.deepEqual(res.data.map(post => post.id), [1, 3]);
+    assert.equal(server.db.posts.get(1).title, 'Fixture');
+    assert.equal(server.db.products.get(1).name, 'Widget');
+  });
+
+  test('fixtures.save', async () => {
+    await axios.delete('/posts/1');
+    await axios.put('/profile', { username: 'test' });
+
+    // json
+    const files = server.save(tmp);
+    assert.include(files, path.join(tmp, 'posts.json'));
+    const posts = JSON.parse(fs.readFileSync(path.join(tmp, 'posts.json'), 'utf8'));
+    assert.deepEqual(posts.map(post => post.id), [2]);
+    assert.equal(JSON.parse(fs.readFileSync(path.join(tmp, 'profile.json'), 'utf8')).username, 'test');
+
+    // yaml
+    server.save(path.join(tmp, 'yaml'), 'yaml');
+    const data = fixtures(path.join(tmp, 'yaml'));
+    assert.deepEqual(data.profile, { username: 'test' });
+    assert.equal(data.posts[0].title, 'Bar');
+
+    // computed fields aren't written
+    assert.notProperty(posts[0], 'author');
+    assert.notProperty(posts[0], 'comments');
+
+    // round trip
+    server.reset();
+    server.load(tmp);
+    assert.isUndefined(server.db.posts.get(1));
+    assert.equal(server.db.posts.get(2).title, 'Bar');
+
+    // computed fields recomputed after load
+    assert.equal(server.db.posts.get(2).author.name, 'Jane Doe');
+    server.db.posts.update(2, { author_id: 2 });
+    assert.equal(server.db.posts.get(2).author.name, 'John Doe');
+  });
+
+  test('fixtures.relations', () => {
+    class Library extends Server {
+      data() {
+        return {
+          authors: [{ name: 'Jane Doe' }, { name: 'John Doe' }],
+          books: define([{ title: 'Foo', author_id: 1 }], {
+            relations: { author: belongsTo('authors') },
+          }),
+        };
+      }
+    }
+    const library = new Library();
+    library.save(tmp);
+    const books = JSON.parse(fs.readFileSync(path.join(tmp, 'books.json'), 'utf8'));
+    assert.deepEqual(books, [{ id: 1, title: 'Foo', author_id: 1 }]);
+
+    // relations populated after load
+    const other = new Library();
+    other.load(tmp);
+    other.db.books.update(1, { author_id: 2 });
+    assert.equal(other.db.books.get(1).author.name, 'John Doe');
+  });
+
+  test('fixtures.invalid', () => {
+    assert.throws(() => fixtures(path.join(tmp, 'missing')), /does not exist/);
+    fs.writeFileSync(path.join(tmp, 'posts.json'), '{ invalid');
+    assert.throws(() => fixtures(tmp), /Could not parse fixture file `posts.json`/);
+    fs.writeFileSync(path.join(tmp, 'posts.json'), '{}');
+    assert.throws(() => server.load(tmp), /does not match model type/);
+    assert.throws(() => server.save(tmp, 'xml'), /Invalid fixture format/);
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * Testing for package.
+ */
+
+
+// imports
+// -------
+import path from 'path';
+import axios from 'axios';
+import { assert } from 'chai';
+import { Server } from '../src/server';
+
+
+// config
+// ------
+const HAR = path.join(__dirname, 'specs', 'session.har');
+
+jest.mock('axios');
+const server = Server.fromHAR(HAR, { name: 'session', base: 'https://example.com/api' });
+server.init(axios);
+beforeEach(() => {
+  server.reset();
+});
+
+
+// tests
+// -----
+describe('har', () => {
+  let res;
+
+  test('har.replay', async () => {
+    assert.equal(server.name, 'session');
+    assert.deepEqual(server.dump(), {});
+    assert.sameMembers(Object.keys(server._api), [
+      '/items', '/items/1', '/items/2', '/jobs/5', '/search', '/profile', '/settings', '/sessions/current',
+    ]);
+
+    // recorded status, headers, and body
+    res = await axios.get('/items');
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.data, [{ id: 1, name: 'Foo' }, { id: 2, name: 'Bar' }]);
+    assert.equal(res.headers['x-total-count'], '2');
+    assert.equal(res.headers['content-type'], 'application/json');
+    assert.notProperty(res.headers, 'content-length');
+    res = await axios.patch('/items/2', { name: 'Baz' });
+    assert.equal(res.data.name, 'Baz');
+    res = await axios.delete('/sessions/current');
+    assert.equal(res.status, 204);
+
+    // encoded content
+    res = await axios.get('/settings');
+    assert.deepEqual(res.data, { theme: 'dark' });
+
+    // error responses
+    try {
+      await axios.get('/profile');
+      assert.fail('Request should have thrown an error.');
+    } catch (err) {
+      assert.equal(err.status, 401);
+      assert.equal(err.message, 'Token expired');
+    }
+  });
+
+  test('har.matching', async () => {
+    // query parameters
+    res = await axios.get('/search?q=bar');
+    assert.deepEqual(res.data, []);
+    res = await axios.get('/search', { params: { q: 'foo' } });
+    assert.equal(res.data.length, 1);
+
+    // repeated requests replayed in order
+    res = await axios.get('/jobs/5');
+    assert.equal(res.status, 202);
+    res = await axios.get('/jobs/5');
+    assert.deepEqual(res.data, { status: 'done' });
+    res = await axios.get('/jobs/5');
+    assert.deepEqual(res.data, { status: 'done' });
+    server.reset();
+    res = await axios.get('/jobs/5');
+    assert.equal(res.status, 202);
+  });
+
+  test('har.filter', () => {
+    let other = Server.fromHAR(HAR);
+    assert.include(Object.keys(other._api), '/api/flags');
+    assert.notInclude(Object.keys(other._api), '/app.js');
+    other = Server.fromHAR(HAR, { filter: /\/items/ });
+    assert.sameMembers(Object.keys(other._api), ['/api/items', '/api/items/1', '/api/items/2']);
+  });
+
+  test('har.infer', async () => {
+    const inferred = Server.fromHAR(HAR, { base: 'https://example.com/api', infer: true });
+    inferred.init(axios);
+    assert.include(Object.keys(inferred._api), '/items/:id');
+    assert.include(Object.keys(inferred._api), '/jobs/5');
+    assert.deepEqual(inferred.dump(), {
+      items: [
+        { id: 1, name: 'Foo', price: 10 },
+        { id: 2, name: 'Baz', price: 20 },
+      ],
+    });
+
+    // collection processors for inferred endpoints
+    res = await axios.get('/items/2');
+    assert.equal(res.data.name, 'Baz');
+    res = await axios.patch('/items/1', { price: 15 });
+    assert.equal(res.data.price, 15);
+    res = await axios.get('/items');
+    assert.deepEqual(res.data.map(item => item.price), [15, 20]);
+    try {
+      await axios.get('/items/3');
+      assert.fail('Request should have thrown an error.');
+    } catch (err) {
+      assert.equal(err.status, 404);
+    }
+
+    // other endpoints replayed
+    res = await axios.get('/settings');
+    assert.deepEqual(res.data, { theme: 'dark' });
+    server.init(axios);
+
+    // nested parameters
+    const entry = url => ({
+      request: { method: 'GET', url },
+      response: { status: 200, headers: [], content: { mimeType: 'application/json', text: '{}' } },
+    });
+    const nested = Server.fromHAR({
+      log: { entries: [entry('http://localhost/authors/1/posts/3'), entry('http://localhost/authors/2/posts/4')] },
+    }, { infer: true });
+    assert.deepEqual(Object.keys(nested._api), ['/authors/:authorId/posts/:id']);
+  });
+
+  test('har.invalid', () => {
+    assert.throws(() => Server.fromHAR({ log: {} }), /Invalid HAR document/);
+    assert.throws(() => Server.fromHAR(path.join(__dirname, 'specs', 'missing.har')), /Could not read HAR file/);
+  });
+});
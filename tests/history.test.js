@@ -0,0 +1,85 @@
+/**
+ * Testing for package.
+ */
+
+
+// imports
+// -------
+import axios from 'axios';
+import { assert } from 'chai';
+import server from './server';
+
+
+// config
+// ------
+jest.mock('axios');
+server.init(axios);
+beforeEach(() => {
+  server.reset();
+});
+
+
+// tests
+// -----
+describe('history', () => {
+  let res;
+
+  test('history.requests', async () => {
+    await axios.get('/posts');
+    await axios.post('/posts', { title: 'Baz', body: 'baz baz' });
+    await axios.put('/posts/1', { title: 'Test' }, { headers: { 'X-Test': 'test' } });
+
+    // all requests
+    res = server.requests();
+    assert.equal(res.length, 3);
+    assert.deepEqual(res.map(item => item.method), ['GET', 'POST', 'PUT']);
+
+    // filter by method
+    res = server.requests({ method: 'post' });
+    assert.equal(res.length, 1);
+    assert.equal(res[0].url, '/posts');
+    assert.equal(res[0].status, 201);
+    assert.deepEqual(res[0].data, { title: 'Baz', body: 'baz baz' });
+    assert.equal(res[0].response.data.id, 3);
+
+    // filter by endpoint
+    res = server.requests({ endpoint: '/posts/:id' });
+    assert.equal(res.length, 1);
+    assert.equal(res[0].id, 1);
+    assert.equal(res[0].url, '/posts/1');
+    assert.deepEqual(res[0].headers, Object.assign({}, axios.defaults.headers.common, axios.defaults.headers.put, { 'X-Test': 'test' }));
+    assert.isNumber(res[0].timestamp);
+    assert.isNumber(res[0].duration);
+
+    // filter by predicate
+    res = server.requests(item => item.status >= 201);
+    assert.equal(res.length, 1);
+  });
+
+  test('history.errors', async () => {
+    try {
+      await axios.get('/posts/5');
+      assert.fail('Request should have thrown an error.');
+    } catch (err) {
+      assert.equal(err.status, 404);
+    }
+    res = server.requests({ status: 404 });
+    assert.equal(res.length, 1);
+    assert.equal(res[0].endpoint, '/posts/:id');
+    assert.equal(res[0].error.status, 404);
+    assert.isUndefined(res[0].response);
+  });
+
+  test('history.reset', async () => {
+    await axios.get('/posts?title=Foo');
+    res = server.requests({ query: { title: 'Foo' } });
+    assert.equal(res.length, 1);
+
+    server.reset('posts');
+    assert.equal(server.requests().length, 1);
+
+    server.reset();
+    assert.equal(server.requests().length, 0);
+  });
+
+});
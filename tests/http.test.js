@@ -0,0 +1,178 @@
+/**
+ * Testing for package.
+ *
+ * @jest-environment node
+ */
+
+
+// imports
+// -------
+import http from 'http';
+import path from 'path';
+import { assert } from 'chai';
+import { parse, load, run } from '../src/cli';
+import blog from './server';
+
+
+// config
+// ------
+let app;
+let server;
+beforeEach(async () => {
+  server = new blog.constructor('blog');
+  app = await server.listen(0);
+});
+afterEach((done) => {
+  app.close(done);
+});
+
+
+// helpers
+// -------
+function request(method, url, options) {
+  options = options || {};
+  return new Promise((resolve, reject) => {
+    const { port } = app.address();
+    const req = http.request({
+      method, port, host: 'localhost', path: url, headers: options.headers || {},
+    }, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => {
+        const content = Buffer.concat(chunks).toString('utf8');
+        resolve({ status: res.statusCode, headers: res.headers, data: content ? JSON.parse(content) : undefined });
+      });
+    });
+    req.on('error', reject);
+    if (options.data !== undefined) {
+      req.setHeader('Content-Type', 'application/json');
+      req.write(JSON.stringify(options.data));
+    }
+    req.end();
+  });
+}
+
+
+// tests
+// -----
+describe('http', () => {
+  let res;
+
+  test('http.routes', async () => {
+    res = await request('GET', '/posts?_limit=1');
+    assert.equal(res.status, 200);
+    assert.equal(res.headers['content-type'], 'application/json');
+    assert.equal(res.headers['x-total-count'], '2');
+    assert.deepEqual(res.data.map(item => item.title), ['Foo']);
+
+    // json payloads
+    res = await request('POST', '/posts', { data: { title: 'Baz', body: 'baz' } });
+    assert.equal(res.status, 201);
+    assert.equal(res.data.id, 3);
+    assert.equal(server.db.posts.get(3).title, 'Baz');
+    res = await request('DELETE', '/posts/3');
+    assert.equal(res.status, 204);
+    assert.isUndefined(res.data);
+
+    // errors
+    res = await request('GET', '/posts/10');
+    assert.equal(res.status, 404);
+    assert.equal(res.data.status, 404);
+    res = await request('GET', '/missing');
+    assert.equal(res.status, 404);
+    res = await request('GET', '/posts/%E0%A4%A');
+    assert.equal(res.status, 400);
+  });
+
+  test('http.cors', async () => {
+    res = await request('GET', '/posts', { headers: { Origin: 'http://localhost:8080' } });
+    assert.equal(res.headers['access-control-allow-origin'], 'http://localhost:8080');
+    assert.equal(res.headers['access-control-allow-credentials'], 'true');
+    assert.equal(res.headers['access-control-expose-headers'], 'x-total-count');
+
+    // preflight requests
+    res = await request('OPTIONS', '/posts/1', {
+      headers: {
+        Origin: 'http://localhost:8080',
+        'Access-Control-Request-Method': 'PUT',
+        'Access-Control-Request-Headers': 'authorization',
+      },
+    });
+    assert.equal(res.status, 204);
+    assert.include(res.headers['access-control-allow-methods'], 'PUT');
+    assert.equal(res.headers['access-control-allow-headers'], 'authorization');
+
+    // disabled cors
+    const other = await new blog.constructor('other').listen(0, { cors: false });
+    const { port } = other.address();
+    res = await new Promise((resolve) => {
+      http.get({ port, host: 'localhost', path: '/posts' }, resolve);
+    });
+    res.resume();
+    assert.isUndefined(res.headers['access-control-allow-origin']);
+    await new Promise(resolve => other.close(resolve));
+  });
+
+  test('http.admin', async () => {
+    await request('DELETE', '/posts/1');
+    res = await request('GET', '/__admin/dump');
+    assert.deepEqual(res.data.posts.map(item => item.id), [2]);
+    res = await request('POST', '/__admin/reset');
+    assert.equal(res.status, 204);
+    assert.deepEqual(server.db.posts.all().map(item => item.id), [1, 2]);
+    res = await request('GET', '/__admin/missing');
+    assert.equal(res.status, 404);
+  });
+
+  test('http.faults', async () => {
+    server.fail('/posts', { type: 'network', times: 1 });
+    try {
+      await request('GET', '/posts');
+      assert.fail('Request should have thrown an error.');
+    } catch (err) {
+      assert.equal(err.code, 'ECONNRESET');
+    }
+    server.fail('/posts', { type: 'status', status: 503 });
+    res = await request('GET', '/posts');
+    assert.equal(res.status, 503);
+  });
+});
+
+
+describe('cli', () => {
+  const SERVER = path.join(__dirname, 'server.js');
+
+  test('cli.parse', () => {
+    assert.deepEqual(parse(['serve', 'mock.js', '--port', '4000', '--host=0.0.0.0', '--no-cors']), {
+      command: 'serve',
+      args: ['mock.js'],
+      options: { port: '4000', host: '0.0.0.0', cors: false },
+    });
+    assert.throws(() => parse(['serve', '--verbose']), /Unknown option `--verbose`/);
+    assert.throws(() => parse(['serve', 'mock.js', '-p']), /Missing value for option `-p`/);
+  });
+
+  test('cli.load', () => {
+    assert.equal(load(SERVER).name, 'blog');
+    assert.throws(() => load(path.join(__dirname, 'specs', 'openapi.yaml')));
+    assert.throws(() => load(path.join(__dirname, 'fixtures', 'products.json')), /must export a mock `Server`/);
+  });
+
+  test('cli.run', async () => {
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const cli = await run(['serve', SERVER, '--port', '0']);
+    assert.match(log.mock.calls[0][0], /Serving mock server `blog` at http:\/\/localhost:\d+/);
+    await new Promise(resolve => cli.close(resolve));
+
+    // usage and errors
+    assert.isUndefined(await run(['--help']));
+    assert.match(log.mock.calls[1][0], /Usage: jest-axios serve <file>/);
+    log.mockRestore();
+    try {
+      await run(['build']);
+      assert.fail('Command should have thrown an error.');
+    } catch (err) {
+      assert.match(err.message, /Unknown command `build`/);
+    }
+  });
+});
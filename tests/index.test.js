@@ -44,6 +44,71 @@ describe('api', () => {
     assert.equal(res.data.length, 2);
   });
 
+  test('axios.create.instances', async () => {
+    const api = axios.create({
+      baseURL: 'https://example.com/api',
+      timeout: 1000,
+      headers: { common: { Authorization: 'Bearer token' } },
+    });
+    const other = axios.create({ baseURL: '/v2/', headers: { 'X-Client': 'other' } });
+    assert.notEqual(api, axios);
+    assert.notEqual(api, other);
+    assert.equal(api.defaults.baseURL, 'https://example.com/api');
+    assert.equal(other.defaults.baseURL, '/v2/');
+
+    // base url stripped for matching
+    res = await api.get('/posts/1');
+    assert.equal(res.status, 200);
+    assert.equal(res.data.id, 1);
+    res = await other({ method: 'get', url: 'posts' });
+    assert.equal(res.data.length, 2);
+    res = await api.post('posts', { title: 'Baz', body: 'baz' }, { headers: { 'X-Test': 'test' } });
+    assert.equal(res.status, 201);
+
+    // instance defaults carried with requests
+    const history = server.requests();
+    assert.deepEqual(history[0].headers, { Authorization: 'Bearer token' });
+    assert.deepEqual(history[1].headers, { 'X-Client': 'other' });
+    assert.deepEqual(history[2].headers, { Authorization: 'Bearer token', 'X-Test': 'test' });
+    assert.equal(res.config.timeout, 1000);
+    assert.equal(res.config.baseURL, 'https://example.com/api');
+
+    // calls tracked per instance
+    expect(api.get).toHaveBeenCalledTimes(1);
+    expect(other.get).toHaveBeenCalledTimes(1);
+    expect(api.post).toHaveBeenCalledTimes(1);
+  });
+
+  test('axios.create.baseURL', async () => {
+    // base urls only stripped at path segment boundaries
+    const api = axios.create({ baseURL: '/api' });
+    res = await api.get('/api/posts?_limit=1');
+    assert.equal(res.data.length, 1);
+    const versioned = axios.create({ baseURL: 'https://example.com/v1' });
+    await Promise.all([api.get('/api-keys'), versioned.get('https://example.com/v1beta/posts')].map(promise => promise.catch(err => err)));
+    assert.deepEqual(server.requests().map(item => [item.url, item.status]), [
+      ['/posts?_limit=1', 200],
+      ['/api-keys', 404],
+      ['/v1beta/posts', 404],
+    ]);
+  });
+
+  test('axios.defaults', async () => {
+    // defaults set after init are read for each request
+    axios.defaults.headers.common['X-Tenant'] = 'acme';
+    axios.defaults.baseURL = 'https://example.com/api';
+    axios.defaults.timeout = 1000;
+    res = await axios.get('https://example.com/api/context/reports/5');
+    assert.equal(res.data.tenant, 'acme');
+    assert.equal(res.data.timeout, 1000);
+    assert.equal(res.data.url, '/context/reports/5');
+    delete axios.defaults.headers.common['X-Tenant'];
+    delete axios.defaults.baseURL;
+    axios.defaults.timeout = 0;
+    res = await axios.get('/context/reports/5');
+    assert.isUndefined(res.data.tenant);
+  });
+
   test('axios.base', async () => {
     res = await axios({
       method: 'get',
@@ -123,6 +188,49 @@ describe('api', () => {
     assert.equal(res.data.name, 'test');
   });
 
+  test('axios.patch', async () => {
+    // update
+    res = await axios.patch('/authors/1', { name: 'test' });
+    assert.equal(res.status, 200);
+    assert.equal(res.data.id, 1);
+    assert.equal(res.data.name, 'test');
+    assert.equal(res.data.email, 'jane@doe.com');
+
+    // missing method
+    try {
+      await axios.patch('/posts/1/archive');
+      assert.fail('Request returned response instead of 404.');
+    } catch (err) {
+      assert.equal(err.status, 404);
+    }
+  });
+
+  test('axios.head', async () => {
+    res = await axios.head('/posts/1');
+    assert.equal(res.status, 200);
+    assert.isUndefined(res.data);
+    assert.equal(res.headers.allow, 'GET, HEAD, POST, PUT, PATCH, DELETE, OPTIONS');
+
+    res = await axios.head('/posts');
+    assert.equal(res.headers['x-total-count'], '2');
+
+    try {
+      await axios.head('/posts/1/archive');
+      assert.fail('Request returned response instead of 404.');
+    } catch (err) {
+      assert.equal(err.status, 404);
+    }
+  });
+
+  test('axios.options', async () => {
+    res = await axios.options('/posts/1/archive');
+    assert.equal(res.status, 204);
+    assert.equal(res.headers.allow, 'POST, OPTIONS');
+
+    res = await axios({ method: 'options', url: '/profile' });
+    assert.equal(res.headers.allow, 'GET, HEAD, POST, PUT, PATCH, DELETE, OPTIONS');
+  });
+
   test('axios.delete', async () => {
     // check
     res = await axios.get('/authors/1');
@@ -0,0 +1,99 @@
+/**
+ * Testing for package.
+ */
+
+
+// imports
+// -------
+import axios from 'axios';
+import { assert } from 'chai';
+import server from './server';
+
+
+// config
+// ------
+jest.mock('axios');
+jest.useFakeTimers();
+server.init(axios);
+beforeEach(() => {
+  server.reset();
+  server.options.latency = 0;
+});
+
+
+// helpers
+// -------
+function track(promise) {
+  const state = { done: false };
+  promise.then(() => {
+    state.done = true;
+  });
+  return state;
+}
+
+
+// tests
+// -----
+describe('latency', () => {
+  let res;
+
+  test('latency.server', async () => {
+    server.options.latency = 100;
+    const promise = axios.get('/posts');
+    const state = track(promise);
+
+    jest.advanceTimersByTime(99);
+    await Promise.resolve();
+    assert.isFalse(state.done);
+
+    jest.advanceTimersByTime(1);
+    res = await promise;
+    assert.isTrue(state.done);
+    assert.equal(res.data.length, 2);
+    assert.equal(server.requests()[0].latency, 100);
+  });
+
+  test('latency.range', async () => {
+    server.options.latency = [50, 150];
+    const promise = axios.get('/posts/1');
+    jest.advanceTimersByTime(150);
+    res = await promise;
+    assert.equal(res.status, 200);
+
+    const { latency } = server.requests()[0];
+    assert.isAtLeast(latency, 50);
+    assert.isAtMost(latency, 150);
+  });
+
+  test('latency.endpoint', async () => {
+    server.options.latency = 10;
+
+    // endpoint latency
+    let promise = axios.get('/search?q=Foo');
+    const state = track(promise);
+    jest.advanceTimersByTime(10);
+    await Promise.resolve();
+    assert.isFalse(state.done);
+    jest.advanceTimersByTime(190);
+    res = await promise;
+    assert.equal(res.data.length, 1);
+
+    // no latency
+    promise = axios.get('/search');
+    res = await promise;
+    assert.equal(res.data.length, 0);
+  });
+
+  test('latency.errors', async () => {
+    server.options.latency = 100;
+    const promise = axios.get('/posts/5');
+    jest.advanceTimersByTime(100);
+    try {
+      await promise;
+      assert.fail('Request should have thrown an error.');
+    } catch (err) {
+      assert.equal(err.status, 404);
+    }
+  });
+
+});
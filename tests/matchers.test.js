@@ -0,0 +1,111 @@
+/**
+ * Testing for package.
+ */
+
+
+// imports
+// -------
+import axios from 'axios';
+import { assert } from 'chai';
+import server from './server';
+import matchers from '../src/matchers';
+
+
+// config
+// ------
+jest.mock('axios');
+server.init(axios);
+expect.extend(matchers);
+beforeEach(() => {
+  server.reset();
+});
+
+
+// tests
+// -----
+describe('matchers', () => {
+
+  test('matchers.toHaveReceived', async () => {
+    await axios.post('/posts', { title: 'Baz', body: 'baz baz' });
+    await axios.get('/posts/1?foo=bar');
+
+    expect(server).toHaveReceived('POST', '/posts');
+    expect(server).toHaveReceived('post', '/posts', { title: 'Baz', body: 'baz baz' });
+    expect(server).toHaveReceived('GET', '/posts/1');
+    expect(server).toHaveReceived('GET', '/posts/:id');
+    expect(server).not.toHaveReceived('GET', '/posts');
+    expect(server).not.toHaveReceived('POST', '/posts', { title: 'Foo' });
+
+    // failure message
+    try {
+      expect(server).toHaveReceived('POST', '/posts', { title: 'Foo' });
+      assert.fail('Matcher should have failed.');
+    } catch (err) {
+      assert.include(err.message, 'Closest requests received');
+      assert.include(err.message, 'POST /posts (201)');
+    }
+  });
+
+  test('matchers.toHaveReceivedTimes', async () => {
+    await axios.get('/posts/1');
+    await axios.get('/posts/2');
+
+    expect(server).toHaveReceivedTimes('GET', '/posts/:id', 2);
+    expect(server).toHaveReceivedTimes('GET', '/posts/1', 1);
+    expect(server).toHaveReceivedTimes('DELETE', '/posts/1', 0);
+    expect(server).not.toHaveReceivedTimes('GET', '/posts/1', 2);
+
+    // failure message
+    try {
+      expect(server).toHaveReceivedTimes('GET', '/posts/:id', 1);
+      assert.fail('Matcher should have failed.');
+    } catch (err) {
+      assert.include(err.message, 'received 2 time(s)');
+    }
+  });
+
+  test('matchers.toHaveRecord', async () => {
+    await axios.post('/posts', { title: 'Baz', body: 'baz baz' });
+
+    expect(server).toHaveRecord('posts', 3);
+    expect(server).toHaveRecord('posts', 3, { title: 'Baz' });
+    expect(server).toHaveRecord('posts', '3', { title: expect.any(String) });
+    expect(server).not.toHaveRecord('posts', 4);
+    expect(server).not.toHaveRecord('posts', 3, { title: 'Foo' });
+
+    // failure message
+    try {
+      expect(server).toHaveRecord('posts', 4);
+      assert.fail('Matcher should have failed.');
+    } catch (err) {
+      assert.include(err.message, 'found records: 1, 2, 3');
+    }
+    try {
+      expect(server).toHaveRecord('profile', 1);
+      assert.fail('Matcher should have failed.');
+    } catch (err) {
+      assert.include(err.message, 'not a collection');
+    }
+  });
+
+  test('matchers.toMatchDatabase', async () => {
+    await axios.put('/profile', { username: 'test' });
+
+    expect(server).toMatchDatabase({
+      profile: { username: 'test' },
+      authors: [{ id: 2, name: 'John Doe' }],
+    });
+    expect(server).not.toMatchDatabase({
+      authors: [{ id: 2, name: 'Jane Doe' }],
+    });
+
+    // failure message
+    try {
+      expect(server).toMatchDatabase({ profile: { username: 'admin' } });
+      assert.fail('Matcher should have failed.');
+    } catch (err) {
+      assert.include(err.message, 'Model `profile`');
+    }
+  });
+
+});
@@ -0,0 +1,159 @@
+/**
+ * Testing for package.
+ */
+
+
+// imports
+// -------
+import _ from 'lodash';
+import axios from 'axios';
+import { assert } from 'chai';
+import { Unauthorized } from '../src/errors';
+import { respond } from '../src/response';
+import blog from './server';
+
+
+// config
+// ------
+jest.mock('axios');
+let server;
+beforeEach(() => {
+  server = new blog.constructor('blog');
+  server.init(axios);
+});
+
+
+// tests
+// -----
+describe('middleware', () => {
+  let res;
+
+  test('middleware.order', async () => {
+    const calls = [];
+    server.use(async (ctx, next) => {
+      calls.push(`first:before:${ctx.method}`);
+      await next();
+      calls.push(`first:after:${ctx.response.status}`);
+    });
+    server.use((ctx, next) => {
+      calls.push('second:before');
+      return next().then(() => calls.push('second:after'));
+    });
+    res = await axios.get('/posts/1');
+    assert.equal(res.data.title, 'Foo');
+    assert.deepEqual(calls, ['first:before:GET', 'second:before', 'second:after', 'first:after:200']);
+  });
+
+  test('middleware.errors', async () => {
+    server.use('/profile', (ctx, next) => {
+      if (ctx.header('authorization') !== 'Bearer token') {
+        throw Unauthorized();
+      }
+      return next();
+    });
+
+    // short-circuit with error
+    try {
+      await axios.get('/profile');
+      assert.fail('Request should have thrown an error.');
+    } catch (err) {
+      assert.equal(err.status, 401);
+      assert.equal(err.response.status, 401);
+    }
+    assert.equal(server.requests()[0].status, 401);
+
+    // authorized
+    res = await axios.get('/profile', { headers: { Authorization: 'Bearer token' } });
+    assert.equal(res.data.username, 'admin');
+
+    // other routes unaffected
+    res = await axios.get('/posts');
+    assert.equal(res.status, 200);
+
+    // errors from handlers available to middleware
+    server.use(async (ctx, next) => {
+      try {
+        await next();
+      } catch (err) {
+        if (err.status !== 404) {
+          throw err;
+        }
+        ctx.response = { status: 200, data: { missing: true }, headers: {} };
+      }
+    });
+    res = await axios.get('/posts/10');
+    assert.deepEqual(res.data, { missing: true });
+  });
+
+  test('middleware.transform', async () => {
+    server.use('/authors', async (ctx, next) => {
+      ctx.body = _.mapKeys(ctx.body, (value, key) => _.snakeCase(key));
+      await next();
+      const camel = item => _.mapKeys(item, (value, key) => _.camelCase(key));
+      const data = _.isArray(ctx.response.data) ? ctx.response.data.map(camel) : camel(ctx.response.data);
+      ctx.response.data = { data };
+    });
+
+    // scoped to route prefix
+    res = await axios.post('/authors/1/posts', { title: 'Baz', body: 'baz', authorId: 2 });
+    assert.equal(res.status, 201);
+    assert.equal(res.data.data.authorId, 1);
+    assert.equal(server.db.posts.get(3).author_id, 1);
+    res = await axios.get('/authors');
+    assert.equal(res.data.data.length, 2);
+    res = await axios.get('/posts/3');
+    assert.equal(res.data.author_id, undefined);
+    assert.equal(res.data.title, 'Baz');
+  });
+
+  test('middleware.short-circuit', async () => {
+    server.use('/posts/:id', (ctx, next) => {
+      if (ctx.id === 1) {
+        ctx.response = { status: 203, data: { cached: true }, headers: { 'x-cache': 'hit' } };
+        return undefined;
+      }
+      return next();
+    });
+    res = await axios.get('/posts/1');
+    assert.equal(res.status, 203);
+    assert.deepEqual(res.data, { cached: true });
+    assert.equal(res.headers['x-cache'], 'hit');
+    res = await axios.get('/posts/2');
+    assert.equal(res.data.title, 'Bar');
+
+    // error responses from middleware
+    server.use('/jobs', (ctx) => {
+      const response = respond(503, { message: 'Maintenance' });
+      ctx.response = response;
+    });
+    try {
+      await axios.get('/jobs');
+      assert.fail('Request should have thrown an error.');
+    } catch (err) {
+      assert.equal(err.status, 503);
+      assert.equal(err.message, 'Maintenance');
+    }
+  });
+
+  test('middleware.invalid', async () => {
+    assert.throws(() => server.use('/posts'), /must be a function/);
+    server.use('/profile', () => {});
+    try {
+      await axios.get('/profile');
+      assert.fail('Request should have thrown an error.');
+    } catch (err) {
+      assert.match(err.message, /No response set for request `GET \/profile`/);
+    }
+
+    server.use(async (ctx, next) => {
+      await next();
+      await next();
+    });
+    try {
+      await axios.get('/posts');
+      assert.fail('Request should have thrown an error.');
+    } catch (err) {
+      assert.match(err.message, /called multiple times/);
+    }
+  });
+});
@@ -53,7 +53,18 @@ describe('model', () => {
   });
 
   test('model.put', async () => {
-    res = await axios.put('/posts/1', { title: 'Foobar' });
+    res = await axios.put('/posts/1', { title: 'Foobar', author_id: 2 });
+    assert.equal(res.status, 200);
+    res.data.author = res.data.author.id;
+    assert.deepEqual(res.data, {
+      id: 1,
+      title: 'Foobar',
+      author: 2,
+    });
+  });
+
+  test('model.patch', async () => {
+    res = await axios.patch('/posts/1', { title: 'Foobar' });
     assert.equal(res.status, 200);
     res.data.author = res.data.author.id;
     assert.deepEqual(res.data, {
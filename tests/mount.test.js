@@ -0,0 +1,144 @@
+/**
+ * Testing for package.
+ */
+
+
+// imports
+// -------
+import axios from 'axios';
+import { assert } from 'chai';
+import { Server } from '../src/server';
+import blog from './server';
+
+
+// servers
+// -------
+class Auth extends Server {
+  data() {
+    return {
+      users: [{ username: 'admin' }],
+    };
+  }
+
+  api() {
+    return {
+      '/users': this.collection('users'),
+      '/users/:id': this.model('users'),
+      '/login': {
+        post: data => ({ token: `token-${data.username}` }),
+      },
+    };
+  }
+}
+
+class Billing extends Server {
+  data() {
+    return {
+      invoices: [{ amount: 10 }, { amount: 20 }],
+    };
+  }
+
+  api() {
+    return {
+      '/invoices': this.collection('invoices'),
+      '/invoices/:id': this.model('invoices'),
+    };
+  }
+}
+
+const server = new Server('gateway');
+const auth = server.mount('https://auth.example.com', new Auth());
+const billing = server.mount('https://example.com/billing/', Billing);
+server.mount('/api/v2', blog);
+
+
+// config
+// ------
+jest.mock('axios');
+server.init(axios);
+beforeEach(() => {
+  server.reset();
+});
+
+
+// tests
+// -----
+describe('mount', () => {
+  let res;
+
+  test('mount.dispatch', async () => {
+    // host prefix
+    res = await axios.post('https://auth.example.com/login', { username: 'admin' });
+    assert.equal(res.status, 201);
+    assert.deepEqual(res.data, { token: 'token-admin' });
+
+    // host and path prefix
+    res = await axios.get('https://example.com/billing/invoices/2');
+    assert.deepEqual(res.data, { id: 2, amount: 20 });
+
+    // path prefix
+    res = await axios.get('/api/v2/posts/1');
+    assert.equal(res.data.title, 'Foo');
+
+    // unmatched prefix
+    try {
+      await axios.get('/api/v1/posts/1');
+      assert.fail('Request returned response instead of 404.');
+    } catch (err) {
+      assert.equal(err.status, 404);
+    }
+  });
+
+  test('mount.baseURL', async () => {
+    const client = axios.create({ baseURL: 'https://auth.example.com' });
+    res = await client.get('/users/1');
+    assert.equal(res.data.username, 'admin');
+
+    const api = axios.create({ baseURL: '/api/v2' });
+    res = await api.get('/posts');
+    assert.equal(res.data.length, 2);
+
+    const invoices = axios.create({ baseURL: 'https://example.com/billing' });
+    res = await invoices.get('invoices');
+    assert.equal(res.data.length, 2);
+  });
+
+  test('mount.history', async () => {
+    await axios.get('https://auth.example.com/users');
+    await axios.get('/api/v2/posts/1');
+
+    // history recorded by mounted servers
+    assert.equal(auth.requests().length, 1);
+    assert.equal(auth.requests()[0].url, '/users');
+    assert.equal(blog.requests()[0].endpoint, '/posts/:id');
+
+    // history available from mounting server
+    const history = server.requests();
+    assert.equal(history.length, 2);
+    assert.deepEqual(history.map(item => item.url), ['/users', '/posts/1']);
+  });
+
+  test('mount.reset', async () => {
+    await axios.delete('https://example.com/billing/invoices/1');
+    await axios.put('/api/v2/posts/1', { title: 'Test', body: 'test' });
+    assert.equal(billing.db.invoices.all().length, 1);
+
+    // dump
+    const dump = server.dump();
+    assert.deepEqual(Object.keys(dump), ['https://example.com/billing', 'https://auth.example.com', '/api/v2']);
+    assert.equal(dump['https://example.com/billing'].invoices.length, 1);
+    assert.equal(dump['/api/v2'].posts[0].title, 'Test');
+
+    // reset
+    server.reset();
+    assert.equal(billing.db.invoices.all().length, 2);
+    assert.equal(blog.db.posts.get(1).title, 'Foo');
+    assert.equal(server.requests().length, 0);
+    assert.equal(auth.requests().length, 0);
+  });
+
+  test('mount.invalid', () => {
+    assert.throws(() => server.mount('', new Auth()), /non-empty/);
+    assert.throws(() => server.mount('/auth', {}), /must be a mock/);
+  });
+});
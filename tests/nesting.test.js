@@ -74,12 +74,12 @@ describe('nesting', () => {
 
   test('nesting.put', async () => {
     // collection
-    res = await axios.put('/posts/1/history', [{ id: 1 }]);
+    res = await axios.put('/posts/1/history', [{ id: 1, delta: 'baz' }]);
     assert.equal(res.status, 200);
     assert.equal(res.data.length, 1);
     assert.deepEqual(res.data[0], {
         id: 1,
-        delta: 'foo',
+        delta: 'baz',
         post_id: 1
     });
 
@@ -96,6 +96,27 @@ describe('nesting', () => {
     assert.equal(res.data.name, 'Jack Doe');
   });
 
+  test('nesting.patch', async () => {
+    // collection
+    res = await axios.patch('/posts/1/history', [{ id: 1 }]);
+    assert.equal(res.status, 200);
+    assert.equal(res.data.length, 1);
+    assert.deepEqual(res.data[0], {
+        id: 1,
+        delta: 'foo',
+        post_id: 1
+    });
+
+    // model
+    res = await axios.patch('/posts/1/author', { id: 2, name: 'Jack Doe' });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.data, {
+      id: 2,
+      email: 'john@doe.com',
+      name: 'Jack Doe'
+    });
+  });
+
   test('nesting.delete', async () => {
     // model
     res = await axios.delete('/posts/1/author');
@@ -0,0 +1,139 @@
+/**
+ * Testing for package.
+ */
+
+
+// imports
+// -------
+import path from 'path';
+import axios from 'axios';
+import { assert } from 'chai';
+import { Server } from '../src/server';
+import { respond } from '../src/response';
+
+
+// config
+// ------
+const SPEC = path.join(__dirname, 'specs', 'openapi.yaml');
+
+jest.mock('axios');
+const server = Server.fromOpenAPI(SPEC, {
+  name: 'blog',
+  operations: {
+    getHealth: () => ({ status: 'ok' }),
+  },
+});
+server.init(axios);
+beforeEach(() => {
+  server.reset();
+});
+
+
+// tests
+// -----
+describe('openapi', () => {
+  let res;
+
+  test('openapi.data', () => {
+    assert.equal(server.name, 'blog');
+    assert.deepEqual(server.dump(), {
+      authors: [
+        { id: 1, name: 'Jane Doe' },
+        { id: 2, name: 'John Doe' },
+      ],
+      posts: [
+        { id: 1, title: 'Foo', author_id: 1 },
+      ],
+      profile: { username: 'admin', theme: 'dark' },
+      health: {},
+    });
+  });
+
+  test('openapi.routes', async () => {
+    // collection
+    res = await axios.get('/authors');
+    assert.equal(res.data.length, 2);
+    res = await axios.post('/authors', { name: 'Jack Doe' });
+    assert.equal(res.status, 201);
+    assert.equal(res.data.id, 3);
+
+    // model
+    res = await axios.get('/authors/3');
+    assert.equal(res.data.name, 'Jack Doe');
+    res = await axios.delete('/authors/3');
+    assert.equal(res.status, 204);
+    res = await axios.patch('/posts/1', { title: 'Bar' });
+    assert.equal(res.data.title, 'Bar');
+
+    // singleton
+    res = await axios.patch('/profile', { theme: 'light' });
+    assert.deepEqual(res.data, { username: 'admin', theme: 'light' });
+
+    // methods not in document
+    try {
+      await axios.delete('/posts/1');
+      assert.fail('Request should have thrown an error.');
+    } catch (err) {
+      assert.equal(err.status, 404);
+    }
+  });
+
+  test('openapi.nested', async () => {
+    res = await axios.post('/authors/2/posts', { title: 'Baz' });
+    assert.equal(res.data.author_id, 2);
+    res = await axios.get('/authors/2/posts');
+    assert.deepEqual(res.data.map(item => item.title), ['Baz']);
+    res = await axios.get('/authors/1/posts');
+    assert.deepEqual(res.data.map(item => item.title), ['Foo']);
+  });
+
+  test('openapi.operations', async () => {
+    // examples for other operations
+    res = await axios.post('/posts/1/publish');
+    assert.equal(res.status, 202);
+    assert.deepEqual(res.data, { status: 'pending' });
+
+    // overridden operations
+    res = await axios.get('/health');
+    assert.deepEqual(res.data, { status: 'ok' });
+  });
+
+  test('openapi.subclass', async () => {
+    class Blog extends Server {
+      data() {
+        return { tags: [{ name: 'news' }] };
+      }
+
+      api() {
+        return {
+          '/posts/:postId/publish': {
+            post: (data, id) => respond(200, this.db.posts.update(id, { published: true })),
+          },
+        };
+      }
+    }
+    const blog = Blog.fromOpenAPI(SPEC, {
+      operations: {
+        'GET /posts': () => [],
+      },
+    });
+    assert.instanceOf(blog, Blog);
+    assert.deepEqual(blog.db.tags.all(), [{ id: 1, name: 'news' }]);
+    blog.init(axios);
+    res = await axios.post('/posts/1/publish');
+    assert.isTrue(res.data.published);
+    res = await axios.get('/posts');
+    assert.deepEqual(res.data, []);
+    server.init(axios);
+  });
+
+  test('openapi.invalid', () => {
+    assert.throws(() => Server.fromOpenAPI({ swagger: '2.0', paths: {} }), /Invalid OpenAPI document/);
+    assert.throws(() => Server.fromOpenAPI(path.join(__dirname, 'specs', 'missing.yaml')), /Could not read OpenAPI document/);
+    assert.throws(() => Server.fromOpenAPI(SPEC, { operations: { missing: () => {} } }), /Operation `missing` not found/);
+    assert.throws(() => Server.fromOpenAPI({
+      openapi: '3.0.0',
+      paths: { '/posts': { $ref: '#/components/pathItems/Posts' } },
+    }), /Could not resolve reference/);
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * Testing for package.
+ */
+
+
+// imports
+// -------
+import axios from 'axios';
+import { assert } from 'chai';
+import server from './server';
+
+
+// config
+// ------
+jest.mock('axios');
+server.init(axios);
+beforeEach(() => {
+  server.reset();
+});
+
+
+// tests
+// -----
+describe('params', () => {
+  let res;
+
+  test('params.named', async () => {
+    // string parameters
+    res = await axios.get('/users/jdoe');
+    assert.deepEqual(res.data, {
+      username: 'jdoe',
+      params: { username: 'jdoe' },
+    });
+
+    // uuid parameters
+    res = await axios.get('/users/0b6f3f1c-3a3e-4c8e-9f6a-2f0a3c7e1d11');
+    assert.equal(res.data.username, '0b6f3f1c-3a3e-4c8e-9f6a-2f0a3c7e1d11');
+
+    // only integer parameters are cast to numbers
+    res = await axios.get('/users/1e3');
+    assert.strictEqual(res.data.username, '1e3');
+    res = await axios.get('/users/0x10');
+    assert.strictEqual(res.data.username, '0x10');
+
+    // literal endpoints take precedence
+    res = await axios.get('/users/me');
+    assert.deepEqual(res.data, { username: 'admin' });
+
+    // history
+    res = server.requests({ endpoint: '/users/:username' });
+    assert.equal(res.length, 4);
+    assert.deepEqual(res[0].params, { username: 'jdoe' });
+  });
+
+  test('params.invalid', async () => {
+    const promise = axios.get('/users/%E0%A4%A');
+    assert.instanceOf(promise, Promise);
+    try {
+      await promise;
+      assert.fail('Request should have thrown an error.');
+    } catch (err) {
+      assert.equal(err.status, 400);
+      assert.equal(err.response.status, 400);
+      assert.equal(err.message, 'Malformed url `/users/%E0%A4%A`.');
+    }
+
+    // malformed query parameters
+    try {
+      await axios.get('/posts?title=%E0%A4%A');
+      assert.fail('Request should have thrown an error.');
+    } catch (err) {
+      assert.equal(err.response.status, 400);
+    }
+    assert.deepEqual(server.requests().map(item => item.status), [400, 400]);
+  });
+
+  test('params.context', async () => {
+    res = await axios.get('/context/reports/5?format=csv', { headers: { 'X-Tenant': 'acme' }, timeout: 1000 });
+    assert.deepEqual(res.data, {
+      id: 5,
+      method: 'GET',
+      url: '/context/reports/5?format=csv',
+      endpoint: '/context/:section/:id',
+      params: { section: 'reports', id: 5 },
+      query: { format: 'csv' },
+      body: undefined,
+      tenant: 'acme',
+      timeout: 1000,
+      server: 'blog',
+    });
+
+    // payload available as body
+    res = await axios.post('/context/reports/5', { name: 'test' });
+    assert.deepEqual(res.data.body, { name: 'test' });
+    assert.isUndefined(res.data.tenant);
+
+    // server and header helpers are hidden from output
+    assert.deepEqual(Object.keys(res.request).sort(), [
+      'body', 'config', 'data', 'endpoint', 'headers', 'id', 'method', 'params', 'query', 'url',
+    ]);
+  });
+
+  test('params.model', async () => {
+    res = await axios.get('/authors/1/posts/2');
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.data, {
+      id: 2,
+      title: 'Bar',
+      body: 'bar baz',
+      author_id: 1,
+    });
+
+    // out of scope
+    try {
+      await axios.get('/authors/2/posts/2');
+      assert.fail('Request returned response instead of 404.');
+    } catch (err) {
+      assert.equal(err.status, 404);
+    }
+    res = await axios.patch('/authors/2/posts/2', { title: 'Test' });
+    assert.isUndefined(res.data);
+    try {
+      await axios.delete('/authors/2/posts/2');
+      assert.fail('Request returned response instead of 404.');
+    } catch (err) {
+      assert.equal(err.status, 404);
+    }
+
+    // in scope
+    res = await axios.patch('/authors/1/posts/2', { title: 'Test' });
+    assert.equal(res.data.title, 'Test');
+    res = await axios.delete('/authors/1/posts/2');
+    assert.equal(res.status, 204);
+  });
+
+  test('params.collection', async () => {
+    res = await axios.get('/authors/1/posts/1/comments');
+    assert.equal(res.data.length, 2);
+    res = await axios.get('/authors/1/posts/2/comments');
+    assert.equal(res.data.length, 0);
+
+    res = await axios.post('/authors/1/posts/2/comments', { user: 'jack', body: 'test' });
+    assert.deepEqual(res.data, {
+      id: 3,
+      user: 'jack',
+      body: 'test',
+      post_id: 2,
+    });
+    res = await axios.get('/authors/1/posts/2/comments');
+    assert.equal(res.data.length, 1);
+  });
+
+});
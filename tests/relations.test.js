@@ -0,0 +1,219 @@
+/**
+ * Testing for package.
+ */
+
+
+// imports
+// -------
+import axios from 'axios';
+import { assert } from 'chai';
+import { Server } from '../src/server';
+import { define } from '../src/models';
+import { belongsTo, hasMany, manyToMany } from '../src/relations';
+
+
+// server
+// ------
+class Blog extends Server {
+  data() {
+    return {
+      authors: define([
+        { name: 'Jane Doe' },
+        { name: 'John Doe' },
+      ], {
+        relations: {
+          posts: hasMany('posts', { onDelete: 'restrict' }),
+        },
+      }),
+      posts: define([
+        { title: 'Foo', author_id: 1, tag_ids: [1, 2] },
+        { title: 'Bar', author_id: 1 },
+        { title: 'Baz', author_id: null },
+      ], {
+        relations: {
+          author: belongsTo('authors'),
+          comments: hasMany('comments', { onDelete: 'cascade' }),
+          tags: manyToMany('tags'),
+        },
+      }),
+      comments: define([
+        { body: 'foo comment', post_id: 1 },
+        { body: 'bar comment', post_id: 1 },
+        { body: 'baz comment', post_id: 2 },
+      ], {
+        relations: {
+          post: belongsTo('posts'),
+          replies: hasMany('replies', { key: 'comment_id', onDelete: 'cascade' }),
+        },
+      }),
+      replies: [
+        { body: 'foo reply', comment_id: 1 },
+      ],
+      flags: define([
+        { reason: 'spam', comment_id: 3 },
+      ], {
+        relations: {
+          comment: belongsTo('comments', { onDelete: 'restrict' }),
+        },
+      }),
+      reviews: define([
+        { score: 5, post_id: 2 },
+      ], {
+        relations: {
+          post: belongsTo('posts'),
+        },
+      }),
+      tags: [
+        { name: 'news' },
+        { name: 'tech' },
+      ],
+    };
+  }
+
+  api() {
+    return {
+      '/authors/:id': this.model('authors'),
+      '/posts': this.collection('posts'),
+      '/posts/:id': this.model('posts'),
+      '/posts/:id/author': this.model({ model: 'authors', relation: 'posts' }),
+      '/posts/:id/comments': this.collection({ model: 'comments', relation: 'posts' }),
+      '/comments/:id': this.model('comments'),
+      '/flags/:id': this.model('flags'),
+      '/tags/:id': this.model('tags'),
+    };
+  }
+}
+
+const server = new Blog();
+
+
+// config
+// ------
+jest.mock('axios');
+server.init(axios);
+beforeEach(() => {
+  server.reset();
+});
+
+
+// tests
+// -----
+describe('relations', () => {
+  let res;
+
+  test('relations.fields', async () => {
+    res = await axios.get('/posts/1');
+    assert.deepEqual(res.data.author, { id: 1, name: 'Jane Doe' });
+    assert.deepEqual(res.data.comments.map(item => item.body), ['foo comment', 'bar comment']);
+    assert.deepEqual(res.data.tags, [{ id: 1, name: 'news' }, { id: 2, name: 'tech' }]);
+
+    // related records without foreign keys
+    res = await axios.get('/posts/3');
+    assert.isNull(res.data.author);
+    assert.deepEqual(res.data.comments, []);
+    assert.deepEqual(res.data.tags, []);
+
+    // related records don't include relation fields
+    res = await axios.get('/authors/1');
+    assert.equal(res.data.posts.length, 2);
+    assert.notProperty(res.data.posts[0], 'author');
+  });
+
+  test('relations.routes', async () => {
+    res = await axios.get('/posts/1/comments');
+    assert.equal(res.data.length, 2);
+    res = await axios.post('/posts/2/comments', { body: 'new comment' });
+    assert.equal(res.data.post_id, 2);
+    res = await axios.get('/posts/2/author');
+    assert.equal(res.data.name, 'Jane Doe');
+  });
+
+  test('relations.integrity', async () => {
+    // invalid foreign key
+    try {
+      await axios.post('/posts', { title: 'Qux', author_id: 10 });
+      assert.fail('Request should have thrown an error.');
+    } catch (err) {
+      assert.equal(err.status, 409);
+      assert.deepEqual(err.response.data.errors, { author_id: ['Related record does not exist.'] });
+    }
+
+    // invalid foreign keys in list
+    try {
+      await axios.patch('/posts/1', { tag_ids: [1, 5] });
+      assert.fail('Request should have thrown an error.');
+    } catch (err) {
+      assert.equal(err.status, 409);
+      assert.deepEqual(err.response.data.errors, { tag_ids: ['Related record does not exist.'] });
+    }
+    assert.deepEqual(server.db.posts.data[1].tag_ids, [1, 2]);
+
+    // relation fields aren't stored
+    res = await axios.get('/posts/1');
+    res = await axios.put('/posts/1', Object.assign(res.data, { title: 'Test', author_id: 2 }));
+    assert.equal(res.data.author.name, 'John Doe');
+    assert.notProperty(server.db.posts.data[1], 'author');
+    assert.notProperty(server.db.posts.data[1], 'tags');
+  });
+
+  test('relations.delete', async () => {
+    // cascade
+    await axios.delete('/posts/1');
+    assert.deepEqual(server.db.comments.all().map(item => item.id), [3]);
+    assert.deepEqual(server.db.replies.all(), []);
+
+    // nullify (default)
+    await axios.delete('/tags/2');
+    await axios.post('/posts', { title: 'Qux', tag_ids: [1] });
+    await axios.delete('/tags/1');
+    assert.deepEqual(server.db.posts.data[4].tag_ids, []);
+    await axios.delete('/flags/1');
+    await axios.delete('/posts/2');
+    assert.isNull(server.db.reviews.get(1).post_id);
+
+    // restrict
+    await axios.post('/posts', { title: 'Quux', author_id: 2 });
+    try {
+      await axios.delete('/authors/2');
+      assert.fail('Request should have thrown an error.');
+    } catch (err) {
+      assert.equal(err.status, 409);
+      assert.deepEqual(err.response.data.errors, { posts: ['Related records exist.'] });
+    }
+    assert.isDefined(server.db.authors.get(2));
+  });
+
+  test('relations.restrict', async () => {
+    // restricted cascades don't modify data
+    try {
+      await axios.delete('/posts/2');
+      assert.fail('Request should have thrown an error.');
+    } catch (err) {
+      assert.equal(err.status, 409);
+      assert.match(err.response.data.message, /referenced by model `flags`/);
+    }
+    assert.isDefined(server.db.posts.get(2));
+    assert.isDefined(server.db.comments.get(3));
+    assert.equal(server.db.reviews.get(1).post_id, 2);
+  });
+
+  test('relations.invalid', () => {
+    class Missing extends Server {
+      data() {
+        return { posts: define([], { relations: { author: belongsTo('authors') } }) };
+      }
+    }
+    assert.throws(() => new Missing(), /must reference a collection/);
+
+    class Invalid extends Server {
+      data() {
+        return {
+          authors: [],
+          posts: define([{ author_id: 1 }], { relations: { author: belongsTo('authors') } }),
+        };
+      }
+    }
+    assert.throws(() => new Invalid(), /Foreign key constraint failed/);
+    assert.throws(() => hasMany('posts', { onDelete: 'delete' }), /Invalid `onDelete` action/);
+  });
+});
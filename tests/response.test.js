@@ -0,0 +1,62 @@
+/**
+ * Testing for package.
+ */
+
+
+// imports
+// -------
+import axios from 'axios';
+import { assert } from 'chai';
+import server from './server';
+
+
+// config
+// ------
+jest.mock('axios');
+server.init(axios);
+beforeEach(() => {
+  server.reset();
+});
+
+
+// tests
+// -----
+describe('response', () => {
+  let res;
+
+  test('response.status', async () => {
+    res = await axios.post('/jobs', { name: 'build' });
+    assert.equal(res.status, 202);
+    assert.deepEqual(res.data, { id: 1, status: 'pending', name: 'build' });
+
+    res = await axios.delete('/jobs/1');
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.data, { id: 1, status: 'cancelled' });
+
+    res = await axios.get('/jobs/1');
+    assert.equal(res.status, 200);
+  });
+
+  test('response.headers', async () => {
+    res = await axios.post('/jobs', { name: 'build' });
+    assert.deepEqual(res.headers, {
+      location: '/jobs/1',
+      'x-request-id': 'abc',
+    });
+
+    res = await axios.get('/jobs/1');
+    assert.deepEqual(res.headers, {});
+  });
+
+  test('response.errors', async () => {
+    try {
+      await axios.put('/jobs/1', { name: 'test' });
+      assert.fail('Request should have thrown an error.');
+    } catch (err) {
+      assert.equal(err.status, 409);
+      assert.equal(err.message, 'Job is already running.');
+      assert.deepEqual(err.response.data, { message: 'Job is already running.' });
+    }
+  });
+
+});
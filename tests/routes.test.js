@@ -0,0 +1,31 @@
+/**
+ * Testing for package.
+ */
+
+
+// imports
+// -------
+import { assert } from 'chai';
+import { METHODS, parse, normalize } from '../src/routes';
+
+
+// tests
+// -----
+describe('routes', () => {
+  test('routes.parse', () => {
+    assert.deepEqual(parse('a=1&b=foo+bar&a=2'), { a: ['1', '2'], b: 'foo bar' });
+    assert.deepEqual(parse(''), {});
+  });
+
+  test('routes.normalize', () => {
+    const api = { '/posts': {}, '/posts/:id': {}, '/posts/latest': {} };
+    assert.deepEqual(normalize('/posts/5?_limit=1', api), {
+      id: 5, endpoint: '/posts/:id', params: { id: 5 }, query: { _limit: '1' },
+    });
+    assert.equal(normalize('/posts/latest', api).endpoint, '/posts/latest');
+    assert.deepEqual(normalize('/missing', api, { q: 'test' }), {
+      id: null, endpoint: '/missing', params: {}, query: { q: 'test' },
+    });
+    assert.include(METHODS, 'PATCH');
+  });
+});
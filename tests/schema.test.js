@@ -0,0 +1,130 @@
+/**
+ * Testing for package.
+ */
+
+
+// imports
+// -------
+import axios from 'axios';
+import { assert } from 'chai';
+import server from './server';
+
+
+// config
+// ------
+jest.mock('axios');
+server.init(axios);
+beforeEach(() => {
+  server.reset();
+});
+
+
+// tests
+// -----
+describe('schema', () => {
+  let res;
+
+  test('schema.defaults', async () => {
+    res = await axios.get('/tags/1');
+    assert.deepEqual(res.data, {
+      id: 1,
+      name: 'News',
+      slug: 'news',
+      color: 'red',
+    });
+
+    // query parameters for schema fields filter records
+    res = await axios.get('/tags?count=1');
+    assert.deepEqual(res.data, []);
+
+    res = await axios.post('/tags', { name: 'Sports', color: 'blue' });
+    assert.equal(res.status, 201);
+    assert.deepEqual(res.data, { id: 2, name: 'Sports', color: 'blue' });
+  });
+
+  test('schema.validation', async () => {
+    // create
+    try {
+      await axios.post('/tags', { slug: 'test', color: 'green', count: -1 });
+      assert.fail('Request should have thrown an error.');
+    } catch (err) {
+      assert.equal(err.status, 422);
+      assert.deepEqual(err.response.data.errors, {
+        name: ['This field is required.'],
+        color: ['Must be one of: red, blue.'],
+        count: ['Must be at least 0.'],
+      });
+    }
+
+    // update
+    try {
+      await axios.patch('/tags/1', { name: 'A very long name', count: 1.5 });
+      assert.fail('Request should have thrown an error.');
+    } catch (err) {
+      assert.equal(err.status, 422);
+      assert.deepEqual(err.response.data.errors, {
+        name: ['Must have length of at most 10.'],
+        count: ['Expected type `integer`.'],
+      });
+    }
+
+    // replace
+    try {
+      await axios.put('/tags/1', { slug: 'news' });
+      assert.fail('Request should have thrown an error.');
+    } catch (err) {
+      assert.equal(err.status, 422);
+      assert.deepEqual(err.response.data.errors, { name: ['This field is required.'] });
+    }
+
+    // malformed payload
+    try {
+      await axios.patch('/tags/1', 'test');
+      assert.fail('Request should have thrown an error.');
+    } catch (err) {
+      assert.equal(err.status, 400);
+    }
+
+    // database unchanged
+    res = await axios.get('/tags/1');
+    assert.equal(res.data.name, 'News');
+  });
+
+  test('schema.unique', async () => {
+    try {
+      await axios.post('/tags', { name: 'Other', slug: 'news' });
+      assert.fail('Request should have thrown an error.');
+    } catch (err) {
+      assert.equal(err.status, 409);
+      assert.deepEqual(err.response.data.errors, { slug: ['Must be unique.'] });
+    }
+
+    // same record can keep value
+    res = await axios.patch('/tags/1', { name: 'Updated', slug: 'news' });
+    assert.equal(res.status, 200);
+    assert.equal(res.data.slug, 'news');
+  });
+
+  test('schema.singleton', async () => {
+    res = await axios.patch('/settings', { theme: 'dark' });
+    assert.deepEqual(res.data, { theme: 'dark' });
+
+    try {
+      await axios.put('/settings', { theme: 'blue' });
+      assert.fail('Request should have thrown an error.');
+    } catch (err) {
+      assert.equal(err.status, 422);
+      assert.deepEqual(err.response.data.errors, { theme: ['Must be one of: light, dark.'] });
+    }
+  });
+
+  test('schema.models', () => {
+    assert.throws(() => server.db.tags.add({ slug: 'test' }), 'Invalid data for model.');
+    try {
+      server.db.tags.add({ slug: 'test' });
+    } catch (err) {
+      assert.deepEqual(err.errors, { name: ['This field is required.'] });
+    }
+  });
+
+});
@@ -1,7 +1,25 @@
 
 // import
 import { Server } from '../src/server';
-import { ServerError, Forbidden } from '../src/errors';
+import { define } from '../src/models';
+import { respond } from '../src/response';
+import {
+  ServerError, Forbidden, UnprocessableEntity, TooManyRequests,
+} from '../src/errors';
+
+// helpers
+const summarize = (id, request) => ({
+  id,
+  method: request.method,
+  url: request.url,
+  endpoint: request.endpoint,
+  params: request.params,
+  query: request.query,
+  body: request.body,
+  tenant: request.header('x-tenant'),
+  timeout: request.config.timeout,
+  server: request.server.name,
+});
 
 // database
 class App extends Server {
@@ -43,6 +61,21 @@ class App extends Server {
         { user: 'jack', body: 'foo comment', post_id: 1 },
         { user: 'jill', body: 'bar comment', post_id: 1 },
       ],
+      tags: define([
+        { name: 'News', slug: 'news' },
+      ], {
+        schema: {
+          name: { type: 'string', required: true, max: 10 },
+          slug: { type: String, unique: true },
+          color: { type: 'string', enum: ['red', 'blue'], default: 'red' },
+          count: { type: 'integer', min: 0 },
+        },
+      }),
+      settings: define({ theme: 'light' }, {
+        schema: {
+          theme: { type: 'string', required: true, enum: ['light', 'dark'] },
+        },
+      }),
     };
   }
 
@@ -86,6 +119,55 @@ class App extends Server {
         key: 'author_id',
         exclude: ['author', 'comments'],
       }),
+      '/authors/:authorId/posts/:postId': this.model({
+        model: 'posts',
+        scope: { authorId: 'author_id' },
+        exclude: ['author', 'comments'],
+      }),
+      '/authors/:authorId/posts/:postId/comments': this.collection({
+        model: 'comments',
+        scope: { postId: 'post_id' },
+      }),
+
+      // users
+      '/users/me': {
+        get: () => ({ username: 'admin' }),
+      },
+      '/users/:username': {
+        get: (username, request) => ({ username, params: request.params }),
+      },
+
+      // request context
+      '/context/:section/:id': {
+        get: (id, request) => summarize(id, request),
+        post: (data, id, request) => summarize(id, request),
+      },
+
+      // tags
+      '/tags': this.collection('tags'),
+      '/tags/:id': this.model('tags'),
+
+      // settings
+      '/settings': this.singleton('settings'),
+
+      // search
+      '/search': {
+        get: (id, request) => this.db.posts.all().filter(x => x.title === request.query.q),
+        latency: request => (request.query.q ? 200 : 0),
+      },
+
+      // jobs
+      '/jobs': {
+        post: data => respond(202, { id: 1, status: 'pending', ...data }, {
+          Location: '/jobs/1',
+          'X-Request-Id': 'abc',
+        }),
+      },
+      '/jobs/:id': {
+        get: id => ({ id, status: 'pending' }),
+        put: () => respond(409, { message: 'Job is already running.' }),
+        delete: id => respond(200, { id, status: 'cancelled' }),
+      },
 
       // errors
       '/errors/server': {
@@ -97,7 +179,17 @@ class App extends Server {
         get: () => {
           throw new Forbidden()
         },
-      }
+      },
+      '/errors/invalid': {
+        post: () => {
+          throw UnprocessableEntity({ title: ['This field is required.'] });
+        },
+      },
+      '/errors/throttled': {
+        get: () => {
+          throw TooManyRequests(30);
+        },
+      },
     };
   }
 }
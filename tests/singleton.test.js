@@ -41,6 +41,18 @@ describe('singleton', () => {
     assert.deepEqual(res.data, { username: 'test' });
   });
 
+  test('singleton.patch', async () => {
+    // update
+    await axios.put('/profile', { username: 'test', email: 'test@test.com' });
+    res = await axios.patch('/profile', { username: 'admin' });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.data, { username: 'admin', email: 'test@test.com' });
+
+    // replace
+    res = await axios.put('/profile', { email: 'admin@test.com' });
+    assert.deepEqual(res.data, { email: 'admin@test.com' });
+  });
+
   test('singleton.delete', async () => {
     // update and delete
     await axios.put('/profile', { username: 'test' });
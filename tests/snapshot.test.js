@@ -0,0 +1,121 @@
+/**
+ * Testing for package.
+ */
+
+
+// imports
+// -------
+import axios from 'axios';
+import { assert } from 'chai';
+import server from './server';
+
+
+// config
+// ------
+jest.mock('axios');
+server.init(axios);
+beforeEach(() => {
+  server.reset();
+});
+
+
+// tests
+// -----
+describe('snapshot', () => {
+  let res;
+
+  test('snapshot.restore', async () => {
+    await axios.post('/posts', { title: 'Baz', body: 'baz' });
+    server.snapshot('fixtures');
+
+    // change database
+    await axios.put('/posts/1', { title: 'Test', body: 'test' });
+    await axios.delete('/posts/3');
+    await axios.put('/profile', { username: 'test' });
+    assert.equal(server.db.posts.all().length, 2);
+
+    // restore named snapshot
+    server.restore('fixtures');
+    assert.equal(server.db.posts.get(1).title, 'Foo');
+    assert.equal(server.db.posts.get(3).title, 'Baz');
+    assert.equal(server.db.profile.get().username, 'admin');
+    res = await axios.post('/posts', { title: 'Qux', body: 'qux' });
+    assert.equal(res.data.id, 4);
+
+    // snapshots persist across resets
+    server.reset();
+    server.restore('fixtures');
+    assert.equal(server.db.posts.all().length, 3);
+  });
+
+  test('snapshot.isolation', async () => {
+    await axios.patch('/posts/1', { meta: { views: 1 } });
+    const state = server.snapshot();
+
+    // mutate nested data
+    server.db.posts.data[1].meta.views = 2;
+    assert.equal(server.db.posts.get(1).meta.views, 2);
+    assert.equal(state.db.posts.data[1].meta.views, 1);
+
+    // restore deep copy of snapshot
+    server.restore(state);
+    assert.equal(server.db.posts.get(1).meta.views, 1);
+    server.db.posts.data[1].meta.views = 3;
+    server.restore(state);
+    assert.equal(server.db.posts.get(1).meta.views, 1);
+
+    // computed fields preserved
+    assert.equal(server.db.posts.get(1).author.name, 'Jane Doe');
+  });
+
+  test('snapshot.reset', async () => {
+    const posts = server.db.posts;
+    await axios.patch('/posts/1', { meta: { views: 1 } });
+    await axios.post('/posts', { title: 'Baz', body: 'baz' });
+    server.reset();
+
+    // references to models remain valid
+    assert.equal(posts.all().length, 2);
+    assert.isUndefined(posts.get(1).meta);
+    res = await axios.post('/posts', { title: 'Baz', body: 'baz' });
+    assert.equal(res.data.id, 3);
+
+    // reset single model
+    await axios.put('/profile', { username: 'test' });
+    server.reset('profile');
+    assert.equal(server.db.profile.get().username, 'admin');
+  });
+
+  test('snapshot.transaction', async () => {
+    // synchronous rollback
+    assert.throws(() => server.transaction(() => {
+      server.db.posts.add({ title: 'Baz', body: 'baz' });
+      throw new Error('Failed.');
+    }), 'Failed.');
+    assert.equal(server.db.posts.all().length, 2);
+
+    // asynchronous rollback
+    try {
+      await server.transaction(async () => {
+        await axios.post('/tags', { name: 'foo', slug: 'foo' });
+        await axios.post('/tags', { name: 'bar', slug: 'foo' });
+      });
+      assert.fail('Transaction resolved instead of rejecting.');
+    } catch (err) {
+      assert.equal(err.status, 409);
+    }
+    assert.isUndefined(server.db.tags.all().find(tag => tag.slug === 'foo'));
+
+    // commit
+    res = await server.transaction(async () => {
+      const response = await axios.post('/tags', { name: 'foo', slug: 'foo' });
+      return response.data;
+    });
+    assert.equal(res.slug, 'foo');
+    assert.isDefined(server.db.tags.all().find(tag => tag.slug === 'foo'));
+  });
+
+  test('snapshot.invalid', () => {
+    assert.throws(() => server.restore('missing'), /not found/);
+  });
+});